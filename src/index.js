@@ -1,9 +1,13 @@
 import _ from 'lodash';
 import traverse from 'traverse';
 import moment from 'moment';
+import { parallelLimit } from 'async';
+import { singularize } from 'inflection';
 import stopwords from 'stopwords-iso';
 import { getString, getStrings } from '@lykmapipo/env';
 import {
+  Schema,
+  areSameInstance,
   eachPath,
   isObjectId,
   isMap,
@@ -14,6 +18,8 @@ import {
 const defaultTaggableOptions = {
   path: 'tags',
   blacklist: [],
+  blacklistPresets: [],
+  languages: [],
   index: true,
   duplicate: false,
   searchable: true,
@@ -21,101 +27,511 @@ const defaultTaggableOptions = {
   hide: true,
   fresh: false,
   hook: 'validate',
+  segment: false,
+  normalize: false,
+  synonyms: {},
+  resolveRefs: false,
+  updates: true,
+  provenance: false,
+  weights: false,
+  vocabularyPolicy: 'drop',
+  rulesTtl: 60000,
+  hierarchy: false,
+  cascadeUntag: false,
 };
 
+/* separator of path style hierarchical tags */
+const HIERARCHY_SEPARATOR = '/';
+
+/* unicode letters and numbers, used to slugify tags */
+const SLUG_PATTERN = /[^\p{L}\p{M}\p{N}]+/gu;
+
+/* maximum number of raw documents tagged concurrently, as mongoose does on
+insert many */
+const TAGGING_CONCURRENCY = 1000;
+
+/* query operations which may update taggable paths */
+const UPDATE_OPERATIONS = [
+  'update',
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+];
+
+/* operations which write tag rules */
+const RULES_WRITE_OPERATIONS = [
+  'save',
+  'remove',
+  'insertMany',
+  'update',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'deleteOne',
+  'deleteMany',
+];
+
+/* refreshers of tag rules caches per rules model, one per schema */
+const RULES_REFRESHERS = new WeakMap();
+
+/* unicode letters, marks, numbers and connectors */
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}\p{Pc}]+/gu;
+
+/* minimum length of a word to normalize */
+const MIN_NORMALIZE_LENGTH = 4;
+
+/* light stemmer suffix rules per language */
+const STEMMER_RULES = {
+  en: [
+    [
+      /^(auntie|brownie|calorie|cookie|die|foodie|genie|goalie|hippie|hoodie|indie|lie|movie|necktie|newbie|pie|prairie|rookie|selfie|smoothie|sortie|techie|tie|zombie)s$/,
+      '$1',
+    ],
+    [/([^ae])ies$/, '$1y'],
+    [/(ss|x|ch|sh|z)es$/, '$1'],
+    [/([^aeo])es$/, '$1e'],
+    [/([^us])s$/, '$1'],
+  ],
+  es: [
+    [/([^aeiou])es$/, '$1'],
+    [/([aeiou])s$/, '$1'],
+  ],
+  pt: [
+    [/ões$/, 'ão'],
+    [/ns$/, 'm'],
+    [/([aeiou])s$/, '$1'],
+  ],
+  fr: [
+    [/aux$/, 'al'],
+    [/([^s])[sx]$/, '$1'],
+  ],
+};
+
+/* scripts which does not separate words with spaces */
+const UNSPACED_SCRIPT =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+/* urls, which are removed before phrases are split into words */
+const URL_PATTERN = /\b(?:[a-z][a-z\d+.-]*:\/\/|www\.)\S+/giu;
+
+/* built-in blacklist presets, except `urls` which are removed from phrases */
+const BLACKLIST_PRESETS = {
+  numbers: /^\p{N}+$/u,
+  short: (tag) => _.size(tag) < 3,
+  hex: /^(?:0x)?(?=[a-f]*\d)[\da-f]{8,}$/,
+};
+
+/**
+ * @function segmentWord
+ * @name segmentWord
+ * @description segment a word written in a script which does not separate
+ * words with spaces i.e chinese, japanese etc. into discrete words
+ * @param {string} word a word to segment
+ * @param {boolean | string} [segment] whether to segment or locale to use when
+ * segmenting
+ * @returns {string[]} array of words from a word
+ * @author lally elias <lallyelias87@mail.com>
+ * @license MIT
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ * segmentWord('我喜欢编程', true)
+ * //=> ['我', '喜欢', '编', '程'];
+ */
+function segmentWord(word, segment) {
+  const canSegment =
+    segment && _.isFunction(Intl.Segmenter) && UNSPACED_SCRIPT.test(word);
+  if (!canSegment) {
+    return [word];
+  }
+  const locale = _.isString(segment) ? segment : undefined;
+  const segmenter = new Intl.Segmenter(locale, { granularity: 'word' });
+  const $words = _.map(
+    _.filter([...segmenter.segment(word)], 'isWordLike'),
+    'segment'
+  );
+  return $words;
+}
+
+/**
+ * @function isPromise
+ * @name isPromise
+ * @description check if a value is a promise or thenable
+ * @param {*} value value to check
+ * @returns {boolean} whether value is a promise
+ * @author lally elias <lallyelias87@mail.com>
+ * @license MIT
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ * isPromise(Promise.resolve(['js']))
+ * //=> true
+ */
+function isPromise(value) {
+  return !!value && _.isFunction(value.then);
+}
+
 /**
  * @function words
  * @name words
- * @description extract words from a phrase
+ * @description extract unicode words from a phrase
  * @param {string} phrase a phrase to extract words from
+ * @param {object} [optns] tokenizer options
+ * @param {boolean | string} [optns.segment] whether to segment or locale to
+ * use when segmenting words of scripts which does not use spaces
+ * @param {boolean} [optns.stripUrls] whether to remove urls from a phrase
  * @returns {string[]} array of words from a phrase
  * @author lally elias <lallyelias87@mail.com>
  * @license MIT
  * @since 0.1.0
- * @version 0.1.0
+ * @version 0.3.0
  * @private
  * @example
  * words('Hello World')
  * //=> ['Hello', 'World'];
+ *
+ * words('Café Zürich')
+ * //=> ['Café', 'Zürich'];
+ *
+ * words('东京塔', { segment: 'zh' })
+ * //=> ['东京', '塔'];
+ *
+ * words('Docs https://mongodb.com', { stripUrls: true })
+ * //=> ['Docs'];
  */
-function words(phrase) {
-  const $words = phrase ? String(phrase).match(/\w+/g) : [];
-  return $words;
+function words(phrase, optns) {
+  const { segment, stripUrls } = _.merge({}, optns);
+  let $phrase = phrase ? String(phrase) : '';
+  $phrase = stripUrls ? _.replace($phrase, URL_PATTERN, ' ') : $phrase;
+  const $words = $phrase.match(WORD_PATTERN) || [];
+  return _.flatMap($words, (word) => segmentWord(word, segment));
 }
 
 /**
- * @function removeStopwords
- * @name removeStopwords
- * @description remove stop words from phrases using all languages stopwords
- * @param {...string} phrases phrases to remove stopwords from
- * @returns {string[]} set of words from a phrases without stopwords
+ * @function stem
+ * @name stem
+ * @description reduce a word to its stem using light stemmer of first
+ * supported language, default to english
+ * @param {string} word a word to stem
+ * @param {string[]} [languages] iso codes of word languages
+ * @returns {string} stem of a word
  * @author lally elias <lallyelias87@mail.com>
  * @license MIT
- * @since 0.1.0
+ * @since 0.6.0
  * @version 0.1.0
  * @private
  * @example
- * removeStopwords('Mongo and Node')
- * //=> ['Mongo', 'Node']
+ * stem('frameworks', ['en'])
+ * //=> 'framework'
+ *
+ * stem('journaux', ['fr'])
+ * //=> 'journal'
  */
-function removeStopwords(...phrases) {
-  const $phrases = [...phrases].join(' ');
-  const $words = words($phrases);
-  const $stopwords = _.flattenDeep(_.values(stopwords));
-  const $keywords = _.difference($words, $stopwords);
-  return $keywords;
+function stem(word, languages) {
+  const language = _.find([...[].concat(languages), 'en'], (lang) =>
+    _.has(STEMMER_RULES, _.toLower(lang))
+  );
+  const rules = STEMMER_RULES[_.toLower(language)];
+  const rule = _.find(rules, ([suffix]) => suffix.test(word));
+  return rule ? _.replace(word, ...rule) : word;
+}
+
+/**
+ * @function canonicalOf
+ * @name canonicalOf
+ * @description obtain canonical form of a word
+ * @param {string} word a word to obtain canonical form for
+ * @param {object} [optns] normalization options
+ * @param {string | Function} [optns.normalize] normalization to apply. Either
+ * `singular`, `stem` or custom function
+ * @param {string[]} [optns.languages] iso codes of word languages
+ * @returns {string} canonical form of a word
+ * @author lally elias <lallyelias87@mail.com>
+ * @license MIT
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ * canonicalOf('repos', { normalize: 'singular' })
+ * //=> 'repo'
+ *
+ * canonicalOf('frameworks', { normalize: 'stem', languages: ['en'] })
+ * //=> 'framework'
+ */
+function canonicalOf(word, optns) {
+  const { normalize, languages } = _.merge({}, optns);
+  // use custom normalization
+  if (_.isFunction(normalize)) {
+    return normalize(word, languages) || word;
+  }
+  // ignore short words i.e js, has etc.
+  if (_.size(word) < MIN_NORMALIZE_LENGTH) {
+    return word;
+  }
+  // singularize
+  if (normalize === 'singular') {
+    return singularize(word);
+  }
+  // light stem
+  if (normalize === 'stem') {
+    return stem(word, languages);
+  }
+  // return word as is
+  return word;
+}
+
+/**
+ * @function collectSynonyms
+ * @name collectSynonyms
+ * @description collect synonyms as a map of alias and its canonical tag
+ * @param {object | Function} [synonyms] hash of canonical tag and its
+ * aliases or a synchronous loader function which return same hash
+ * @returns {Map} map of alias and its canonical tag
+ * @throws {TypeError} if synonyms are not a hash i.e loader return a promise,
+ * which should be loaded asynchronously first
+ * @author lally elias <lallyelias87@mail.com>
+ * @license MIT
+ * @since 0.6.0
+ * @version 0.3.0
+ * @private
+ * @example
+ * collectSynonyms({ javascript: ['js', 'ecmascript'] });
+ * //=> Map { 'js' => 'javascript', 'ecmascript' => 'javascript' }
+ *
+ * collectSynonyms(() => ({ javascript: ['js', 'ecmascript'] }));
+ * //=> Map { 'js' => 'javascript', 'ecmascript' => 'javascript' }
+ */
+function collectSynonyms(synonyms) {
+  // alias map
+  const aliases = new Map();
+  // load synonyms
+  const $synonyms = _.isFunction(synonyms) ? synonyms() : synonyms;
+  // ensure synonyms hash
+  if (!_.isNil($synonyms) && !_.isPlainObject($synonyms)) {
+    // ignore failure of unexpected promise, it is surfaced on async load
+    if (isPromise($synonyms)) {
+      Promise.resolve($synonyms).catch(_.noop);
+    }
+    throw new TypeError(
+      'Invalid taggable synonyms: expected a hash or a synchronous loader which return a hash. Use tagAsync to load async synonyms'
+    );
+  }
+  // collect aliases of canonical tags
+  _.forEach($synonyms, function collectAliases(values, canonical) {
+    const $canonical = _.toLower(_.trim(canonical));
+    const $aliases = _.map(_.compact([].concat(values)), _.toLower);
+    _.forEach($aliases, (alias) => {
+      if (alias !== $canonical) {
+        aliases.set(alias, $canonical);
+      }
+    });
+  });
+  // return alias map
+  return aliases;
 }
 
 /**
  * @function normalizeTags
  * @name normalizeTags
- * @description clear, compact and lowercase tags
- * @param {...string} tags set of tags
+ * @description clear, compact, lowercase and canonicalize tags
+ * @param {string | string[]} tags set of tags
+ * @param {object} [optns] normalization options
+ * @param {boolean | string} [optns.segment] whether to segment or locale to
+ * use when segmenting words of scripts which does not use spaces
+ * @param {string | Function} [optns.normalize] normalization to apply. Either
+ * `singular`, `stem` or custom function
+ * @param {string[]} [optns.languages] iso codes of tags languages
+ * @param {Map} [optns.synonyms] map of alias and its canonical tag
  * @returns {string[]} set of normalized tags
  * @author lally elias <lallyelias87@mail.com>
  * @license MIT
  * @since 0.1.0
- * @version 0.1.0
+ * @version 0.2.0
  * @private
  * @example
  * normalizeTags('Node and Mongo')
+ * //=> ['node', 'and', 'mongo']
+ *
+ * normalizeTags(['Node', 'Mongo'])
  * //=> ['node', 'mongo']
+ *
+ * normalizeTags(['Repos', 'Repo'], { normalize: 'singular' })
+ * //=> ['repo']
+ *
+ * normalizeTags(['JS', 'JavaScript'], { synonyms })
+ * //=> ['javascript']
  */
-function normalizeTags(...tags) {
+function normalizeTags(tags, optns) {
   // collect tags
-  let $tags = [...tags];
+  let $tags = _.flattenDeep([].concat(tags));
   // remove falsey tags
   $tags = _.compact($tags);
   // convert tags to lowercase
   $tags = _.map($tags, _.toLower);
   // convert tags to discrete words
-  $tags = _.flattenDeep(_.map($tags, words));
+  $tags = _.flatMap($tags, (tag) => words(tag, optns));
+  // convert tags to canonical form
+  const synonyms = _.get(optns, 'synonyms');
+  $tags = _.map($tags, (tag) => {
+    const canonical = canonicalOf(tag, optns);
+    const isAlias = synonyms && (synonyms.has(tag) || synonyms.has(canonical));
+    if (isAlias) {
+      return synonyms.get(tag) || synonyms.get(canonical);
+    }
+    return canonical;
+  });
   // ensure unique tags
   $tags = _.uniq($tags);
   // return normalized tags
   return $tags;
 }
 
+/**
+ * @function stopwordsOf
+ * @name stopwordsOf
+ * @description collect stopwords of given languages and custom stopwords
+ * @param {string[]} [languages] iso codes of languages to collect stopwords
+ * from. If none provided, stopwords of all languages are collected
+ * @param {string[] | object} [custom] custom stopwords list or hash of
+ * language and its custom stopwords list
+ * @returns {string[]} set of stopwords
+ * @author lally elias <lallyelias87@mail.com>
+ * @license MIT
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ * stopwordsOf(['en'], ['node']);
+ * //=> ['a', 'about', ..., 'node']
+ *
+ * stopwordsOf(['en'], { en: ['node'], sw: ['nodi'] });
+ * //=> ['a', 'about', ..., 'node']
+ */
+function stopwordsOf(languages, custom) {
+  // normalize languages
+  const $languages = _.uniq(_.map(_.compact([].concat(languages)), _.toLower));
+  const allLanguages = _.isEmpty($languages);
+  // collect languages stopwords
+  let $stopwords = allLanguages
+    ? _.values(stopwords)
+    : _.map($languages, (language) => _.get(stopwords, language, []));
+  // collect custom stopwords
+  if (_.isPlainObject(custom)) {
+    const $custom = allLanguages ? custom : _.pick(custom, $languages);
+    $stopwords = [...$stopwords, ..._.values($custom)];
+  } else {
+    $stopwords = [...$stopwords, ...[].concat(custom)];
+  }
+  // return unique stopwords
+  return _.uniq(_.map(_.compact(_.flattenDeep($stopwords)), _.toLower));
+}
+
+/**
+ * @function removeStopwords
+ * @name removeStopwords
+ * @description remove stop words from phrases using given languages stopwords
+ * @param {string | string[]} phrases phrases to remove stopwords from
+ * @param {object} [optns] stopwords options
+ * @param {string[]} [optns.languages] iso codes of languages to use. If none
+ * provided, stopwords of all languages are used
+ * @param {string[] | object | Set} [optns.stopwords] custom stopwords or
+ * precomputed set of stopwords to use instead of languages stopwords
+ * @param {boolean | string} [optns.segment] whether to segment or locale to
+ * use when segmenting words of scripts which does not use spaces
+ * @returns {string[]} set of words from a phrases without stopwords
+ * @author lally elias <lallyelias87@mail.com>
+ * @license MIT
+ * @since 0.1.0
+ * @version 0.3.0
+ * @private
+ * @example
+ * removeStopwords('Mongo and Node')
+ * //=> ['Mongo', 'Node']
+ *
+ * removeStopwords(['Mongo', 'die', 'Node'], { languages: ['en'] })
+ * //=> ['Mongo', 'die', 'Node']
+ */
+function removeStopwords(phrases, optns) {
+  const { languages, stopwords: custom, segment } = _.merge({}, optns);
+  const $phrases = [].concat(phrases).join(' ');
+  const $words = words($phrases, { segment });
+  const $stopwords = _.isSet(custom)
+    ? custom
+    : new Set(stopwordsOf(languages, custom));
+  const $keywords = _.reject($words, (word) => $stopwords.has(word));
+  return $keywords;
+}
+
+/**
+ * @function blacklistMatchersOf
+ * @name blacklistMatchersOf
+ * @description build matchers of pattern and predicate blacklist entries and
+ * presets
+ * @param {Array} [blacklist] blacklist words, patterns and predicates
+ * @param {string[]} [presets] names of built-in blacklist presets i.e
+ * `numbers`, `short`, `hex` or `urls`
+ * @returns {Function[]} set of functions which check if a tag is blacklisted
+ * @author lally elias <lallyelias87@mail.com>
+ * @license MIT
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ * const [isTemp] = blacklistMatchersOf([/^tmp_/]);
+ * isTemp('tmp_file');
+ * //=> true
+ */
+function blacklistMatchersOf(blacklist, presets) {
+  const entries = [
+    ..._.compact([].concat(blacklist)),
+    ..._.map(_.compact([].concat(presets)), (preset) => {
+      return BLACKLIST_PRESETS[preset];
+    }),
+  ];
+  const matchers = _.map(entries, (entry) => {
+    // match whole tag, ignoring global and sticky flags
+    if (_.isRegExp(entry)) {
+      const flags = _.replace(entry.flags, /[gy]/g, '');
+      const pattern = new RegExp(entry.source, flags);
+      return (tag) => pattern.test(tag);
+    }
+    return _.isFunction(entry) ? entry : undefined;
+  });
+  return _.compact(matchers);
+}
+
 /**
  * @function removeBlacklist
  * @name removeBlacklist
  * @description remove blacklist words from a phrase
  * @param {string | string[]} phrase valid phrase
- * @param {...string} blacklist words to remove from a phrase
+ * @param {string[] | Set} [blacklist] words to remove from a phrase or
+ * precomputed set of normalized blacklist words
+ * @param {object} [optns] tokenizer options
+ * @param {boolean | string} [optns.segment] whether to segment or locale to
+ * use when segmenting words of scripts which does not use spaces
  * @returns {string[]} set of words from a phrase without blacklist words
  * @author lally elias <lallyelias87@mail.com>
  * @license MIT
  * @since 0.2.0
- * @version 0.1.0
+ * @version 0.3.0
  * @private
  * @example
- * removeBlacklist('Mongo and Node', 'Node')
- * //=> ['Mongo']
+ * removeBlacklist('Mongo and Node', ['Node'])
+ * //=> ['mongo', 'and']
  */
-function removeBlacklist(phrase, ...blacklist) {
-  const $blacklist = normalizeTags(...blacklist);
-  const $phrase = normalizeTags(phrase);
-  const $whitelist = _.difference($phrase, $blacklist);
+function removeBlacklist(phrase, blacklist, optns) {
+  const $blacklist = _.isSet(blacklist)
+    ? blacklist
+    : new Set(normalizeTags(blacklist, optns));
+  const $phrase = normalizeTags(phrase, optns);
+  const $whitelist = _.reject($phrase, (word) => $blacklist.has(word));
   return $whitelist;
 }
 
@@ -129,7 +545,7 @@ function removeBlacklist(phrase, ...blacklist) {
  * @author lally elias <lallyelias87@mail.com>
  * @license MIT
  * @since 0.1.0
- * @version 0.2.0
+ * @version 0.3.0
  * @private
  * @example
  * tagFromAnyField(<val>);
@@ -144,6 +560,11 @@ function tagFromAnyField(value, extract) {
     value && (_.isString(value) || _.isNumber(value) || _.isArray(value));
   if (isValidField) {
     let $value = _.clone(value);
+    // ignore refs, they are tagged from instance fields
+    if (_.isArray($value)) {
+      const isRef = (item) => isObjectId(item) || isInstance(item);
+      $value = _.reject($value, isRef);
+    }
     $value = _.isFunction(extract) ? extract($value) : $value;
     $tags = [...$tags].concat($value);
   }
@@ -226,7 +647,7 @@ function tagFromMapField(mapVal, extract) {
  * @author lally elias <lallyelias87@mail.com>
  * @license MIT
  * @since 0.1.0
- * @version 0.1.0
+ * @version 0.2.0
  * @private
  * @example
  * tagFromInstanceField(<instance>);
@@ -238,53 +659,118 @@ function tagFromMapField(mapVal, extract) {
 function tagFromInstanceField(instance, extract) {
   let $tags = [];
   if (instance && isInstance(instance) && _.isFunction(instance.tag)) {
-    instance.tag();
-    let $value = [].concat(instance.tags);
+    let $value = [].concat(instance.tag());
     $value = _.isFunction(extract) ? extract($value) : $value;
     $tags = [...$tags].concat($value);
   }
   return $tags;
 }
 
+/**
+ * @function tagFromInstanceArrayField
+ * @name tagFromInstanceArrayField
+ * @description derive tags from array of refs which are model instances with
+ * taggable behaviour, ignoring unpopulated refs
+ * @param {Array} [instances] array of instances of mongoose model which are
+ * taggable
+ * @param {Function} [extract] field tag extractor
+ * @returns {string[]} set of tags
+ * @author lally elias <lallyelias87@mail.com>
+ * @license MIT
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ * tagFromInstanceArrayField([<instance>, <objectid>]);
+ * //=> ['js']
+ *
+ * tagFromInstanceArrayField([<instance>, <objectid>], <extractor>);
+ * //=> ['js']
+ */
+function tagFromInstanceArrayField(instances, extract) {
+  let $tags = [];
+  if (instances && _.isArray(instances)) {
+    _.forEach(instances, function tagFromInstance(instance) {
+      $tags = [...$tags, ...tagFromInstanceField(instance, extract)];
+    });
+  }
+  return $tags;
+}
+
+/**
+ * @function valuesAt
+ * @name valuesAt
+ * @description obtain values of a path from an instance, resolving array of
+ * subdocuments and nested array of subdocuments along the path
+ * @param {object} instance valid instance of mongoose model
+ * @param {string} pathName valid schema path
+ * @returns {Array} set of path values
+ * @author lally elias <lallyelias87@mail.com>
+ * @license MIT
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ * valuesAt(repo, 'contributors.name');
+ * //=> ['John Boe', 'Jane Doe']
+ */
+function valuesAt(instance, pathName) {
+  const segments = _.split(pathName, '.');
+  let values = [instance];
+  _.forEach(segments, function resolveSegment(segment, position) {
+    const isLeaf = position === segments.length - 1;
+    values = _.flatMap(values, (value) => {
+      const $value = _.get(value, segment);
+      // flatten array of subdocuments, but not leaf arrays
+      return !isLeaf && _.isArray($value) ? [...$value] : [$value];
+    });
+  });
+  return _.filter(values, (value) => !_.isNil(value));
+}
+
 /**
  * @function tagFromFields
  * @name tagFromFields
  * @description derive tags from instance fields
  * @param {object} instance valid instance of mongoose model which is taggable
  * @param {object[]} taggables valid taggable paths
- * @returns {string[]} set of tags
+ * @returns {object} hash of taggable path and its set of tags, or promises of
+ * tags from async extractors
  * @author lally elias <lallyelias87@mail.com>
  * @license MIT
  * @since 0.1.0
- * @version 0.2.0
+ * @version 0.4.0
  * @private
  * @example
  * tagFromFields(user, taggables, 'tags');
- * //=> ['js', 'node']
+ * //=> { name: ['john'], 'skills.name': ['js', 'node'] }
  */
 function tagFromFields(instance, taggables) {
-  // tag set
-  let $tags = [];
   // collect tags from taggable fields
-  _.forEach(taggables, function tagFromField(extract, pathName) {
-    // obtain field value
-    const value = _.get(instance, pathName);
-    // ignore objectid's
-    if (isObjectId(value)) {
-      return;
-    }
-    // tag from map field
-    $tags = [...$tags, ...tagFromMapField(value, extract)];
-    // tag from model instance
-    $tags = [...$tags, ...tagFromInstanceField(value, extract)];
-    // tag from date field
-    $tags = [...$tags, ...tagFromDateField(value, extract)];
-    // tag from primitive field
-    $tags = [...$tags, ...tagFromAnyField(value, extract)];
-    // TODO handle array of subdoc
+  return _.mapValues(taggables, function tagFromField(extract, pathName) {
+    // tag set
+    let $tags = [];
+    // obtain field values, including from array of subdocs
+    const values = valuesAt(instance, pathName);
+    _.forEach(values, function tagFromValue(value) {
+      // ignore objectid's
+      if (isObjectId(value)) {
+        return;
+      }
+      // tag from map field
+      $tags = [...$tags, ...tagFromMapField(value, extract)];
+      // tag from model instance
+      $tags = [...$tags, ...tagFromInstanceField(value, extract)];
+      // tag from array of model instances
+      $tags = [...$tags, ...tagFromInstanceArrayField(value, extract)];
+      // tag from date field
+      $tags = [...$tags, ...tagFromDateField(value, extract)];
+      // tag from primitive field
+      $tags = [...$tags, ...tagFromAnyField(value, extract)];
+    });
+    // return field tags
+    return $tags;
   });
-  // return tags
-  return $tags;
 }
 
 /**
@@ -293,35 +779,354 @@ function tagFromFields(instance, taggables) {
  * @description Recursively collect taggagle path
  * @param {object} schema valid mongose schema instance
  * @param {string} tagsPath valid tags path, default to `tags`
+ * @param {object} [optns] tokenizer options used by default extractor
  * @returns {object} hash of all schema taggable paths
  * @author lally elias <lallyelias87@mail.com>
  * @license MIT
  * @since 0.1.0
- * @version 0.1.0
+ * @version 0.4.0
  * @private
  * @example
  * collectTaggables(schema, 'tags');
  * //=> { ... }
  */
-function collectTaggables(schema, tagsPath) {
+function collectTaggables(schema, tagsPath, optns) {
   // taggable map
   const taggables = {};
+  // default extractor
+  const extractWords = (value) => words(value, optns);
   // collect taggable schema paths
   eachPath(schema, function collectTaggablePath(pathName, schemaType) {
-    // check if path is taggable
-    const isTaggable = schemaType.options && schemaType.options.taggable;
+    // check if path or its array caster is taggable
+    const extract =
+      _.get(schemaType, 'options.taggable') ||
+      _.get(schemaType, 'caster.options.taggable');
     // if taggable collect
-    if (isTaggable && pathName !== tagsPath) {
-      // obtain taggable options
-      const optns = _.get(schemaType.options, 'taggable');
-      // collect taggable schema path
-      taggables[pathName] = _.isFunction(optns) ? optns : words;
+    if (extract && pathName !== tagsPath) {
+      // collect taggable schema path, with extractor from options object
+      const extractor = _.isFunction(extract)
+        ? extract
+        : _.get(extract, 'extract');
+      taggables[pathName] = _.isFunction(extractor) ? extractor : extractWords;
     }
   });
   // return collect taggable schema paths
   return taggables;
 }
 
+/**
+ * @function collectRefs
+ * @name collectRefs
+ * @description collect taggable ref paths which should be resolved when
+ * tagging
+ * @param {object} schema valid mongose schema instance
+ * @param {string} tagsPath valid tags path, default to `tags`
+ * @param {boolean} [resolveRefs=false] whether to resolve all taggable refs
+ * @returns {object} hash of taggable ref paths and their refs
+ * @author lally elias <lallyelias87@mail.com>
+ * @license MIT
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ * collectRefs(schema, 'tags', true);
+ * //=> { author: 'User', labels: 'Label' }
+ */
+function collectRefs(schema, tagsPath, resolveRefs = false) {
+  // refs map
+  const refs = {};
+  // collect taggable ref schema paths
+  eachPath(schema, function collectRefPath(pathName, schemaType) {
+    // obtain path or its array caster taggable options and ref
+    const optns =
+      _.get(schemaType, 'options.taggable') ||
+      _.get(schemaType, 'caster.options.taggable');
+    const ref =
+      _.get(schemaType, 'options.ref') ||
+      _.get(schemaType, 'caster.options.ref');
+    // check if should be resolved
+    const populate = resolveRefs || _.get(optns, 'populate', false);
+    // if resolvable collect
+    if (optns && ref && populate && pathName !== tagsPath) {
+      refs[pathName] = ref;
+    }
+  });
+  // return collected taggable ref paths
+  return refs;
+}
+
+/**
+ * @function collectFieldOptions
+ * @name collectFieldOptions
+ * @description collect options of taggable paths declared using taggable
+ * options object
+ * @param {object} schema valid mongose schema instance
+ * @param {string} tagsPath valid tags path, default to `tags`
+ * @returns {object} hash of taggable paths and their options
+ * @author lally elias <lallyelias87@mail.com>
+ * @license MIT
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ * collectFieldOptions(schema, 'tags');
+ * //=> { title: { weight: 3 }, status: { weight: 1, prefix: 'status:' } }
+ */
+function collectFieldOptions(schema, tagsPath) {
+  // options map
+  const fieldOptions = {};
+  // collect taggable schema paths options
+  eachPath(schema, function collectPathOptions(pathName, schemaType) {
+    // obtain path or its array caster taggable options
+    const optns =
+      _.get(schemaType, 'options.taggable') ||
+      _.get(schemaType, 'caster.options.taggable');
+    // if taggable collect options, with weight default to 1
+    if (optns && pathName !== tagsPath) {
+      const $optns = _.isPlainObject(optns) ? optns : {};
+      fieldOptions[pathName] = { weight: 1, ...$optns };
+    }
+  });
+  // return collected taggable paths options
+  return fieldOptions;
+}
+
+/**
+ * @function tagFromRefs
+ * @name tagFromRefs
+ * @description derive tags from unpopulated taggable refs of instances, by
+ * loading referenced instances in batch per model
+ * @param {object | object[]} instances valid instances of mongoose model
+ * which is taggable
+ * @param {object} taggables valid taggable paths
+ * @param {object} refs valid taggable ref paths and their refs
+ * @returns {Promise} promise which resolve tags of each instance refs
+ * @author lally elias <lallyelias87@mail.com>
+ * @license MIT
+ * @since 0.6.0
+ * @version 0.4.0
+ * @private
+ * @example
+ * tagFromRefs([post], taggables, refs).then((tags) => { ... });
+ * //=> [{ author: ['john', 'boe'] }]
+ */
+function tagFromRefs(instances, taggables, refs) {
+  // collect unpopulated ids of each path
+  const idsOf = (instance, pathName) => {
+    const values = _.flatMap(valuesAt(instance, pathName), (value) =>
+      _.isArray(value) ? [...value] : [value]
+    );
+    return _.filter(values, isObjectId);
+  };
+  const $instances = [].concat(instances);
+  const resolvables = _.map($instances, (instance) =>
+    _.omitBy(
+      _.mapValues(refs, (ref, pathName) => idsOf(instance, pathName)),
+      _.isEmpty
+    )
+  );
+
+  // nothing to resolve
+  if (_.every(resolvables, _.isEmpty)) {
+    return Promise.resolve(_.map($instances, () => ({})));
+  }
+
+  // group ids per ref model
+  const models = {};
+  _.forEach(resolvables, function groupByModel(resolvable, index) {
+    _.forEach(resolvable, function groupPathByModel(ids, pathName) {
+      const ref = refs[pathName];
+      const Model = _.isString(ref) ? $instances[index].$model(ref) : ref;
+      const { modelName } = Model;
+      models[modelName] = models[modelName] || { Model, ids: [] };
+      models[modelName].ids = _.uniqBy(
+        [...models[modelName].ids, ...ids],
+        String
+      );
+    });
+  });
+
+  // load referenced instances per model
+  const loaders = _.map(models, ({ Model, ids }) => {
+    return Model.find({ _id: { $in: ids } }).exec();
+  });
+
+  // derive tags from loaded instances
+  return Promise.all(loaders).then(function afterLoadRefs(results) {
+    const loaded = _.keyBy(_.flatten(results), '_id');
+    const $tags = _.map(resolvables, (resolvable) =>
+      _.mapValues(resolvable, function tagFromRefPath(ids, pathName) {
+        const extract = taggables[pathName];
+        return _.flatMap(ids, (id) =>
+          tagFromInstanceField(loaded[id], extract)
+        );
+      })
+    );
+    return $tags;
+  });
+}
+
+/**
+ * @function updatedPaths
+ * @name updatedPaths
+ * @description collect paths updated by an update document, ignoring
+ * positional and array index segments
+ * @param {object | object[]} update valid update document or pipeline
+ * @returns {string[] | boolean} set of updated paths or `true` if unknown
+ * @author lally elias <lallyelias87@mail.com>
+ * @license MIT
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ * updatedPaths({ name: 'John', $push: { 'contributors.$.name': 'Jane' } });
+ * //=> ['name', 'contributors.name']
+ */
+function updatedPaths(update) {
+  // pipeline update may touch any path
+  if (_.isArray(update)) {
+    return true;
+  }
+  // collect operators and plain paths
+  const paths = _.flatMap(_.keys(update), (key) => {
+    if (_.startsWith(key, '$')) {
+      const fields = _.keys(update[key]);
+      // renamed paths touch both source and target
+      return key === '$rename' ? [...fields, ..._.values(update[key])] : fields;
+    }
+    return [key];
+  });
+  // remove positional and array index segments
+  return _.uniq(
+    _.map(paths, (pathName) => {
+      const segments = _.split(pathName, '.');
+      const isIndex = (segment) => /^(\d+|\$(\[\w*\])?)$/.test(segment);
+      return _.join(_.reject(segments, isIndex), '.');
+    })
+  );
+}
+
+/**
+ * @function isTaggableUpdate
+ * @name isTaggableUpdate
+ * @description check if an update document touches any of given paths
+ * @param {object | object[]} update valid update document or pipeline
+ * @param {string[]} paths valid paths to check
+ * @returns {boolean} whether update touches any of paths
+ * @author lally elias <lallyelias87@mail.com>
+ * @license MIT
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ * isTaggableUpdate({ $set: { 'name.given': 'John' } }, ['name.given']);
+ * //=> true
+ */
+function isTaggableUpdate(update, paths) {
+  const updated = updatedPaths(update);
+  if (updated === true) {
+    return true;
+  }
+  const isRelated = (a, b) => a === b || _.startsWith(a, `${b}.`);
+  return _.some(updated, (updatedPath) =>
+    _.some(
+      paths,
+      (pathName) =>
+        isRelated(pathName, updatedPath) || isRelated(updatedPath, pathName)
+    )
+  );
+}
+
+/**
+ * @function tagRulesModelOf
+ * @name tagRulesModelOf
+ * @description obtain model of tag rules collection, which refresh tag rules
+ * caches after writes
+ * @param {object} connection valid mongoose connection
+ * @param {string} collection valid tag rules collection name
+ * @returns {object} valid tag rules mongoose model
+ * @author lally elias <lallyelias87@mail.com>
+ * @license MIT
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ * const TagRule = tagRulesModelOf(User.db, 'tagrules');
+ * TagRule.create({ name: 'spam', type: 'blacklist' });
+ */
+function tagRulesModelOf(connection, collection) {
+  // reuse existing model
+  const modelName = _.upperFirst(_.camelCase(['taggable', collection]));
+  if (connection.models[modelName]) {
+    return connection.models[modelName];
+  }
+
+  // tag rule schema
+  const schema = new Schema(
+    {
+      name: { type: String, trim: true, required: true },
+      type: {
+        type: String,
+        enum: ['blacklist', 'whitelist'],
+        default: 'blacklist',
+      },
+    },
+    { collection, timestamps: true }
+  );
+
+  // refresh tag rules caches of subscribed schemas after writes
+  const refreshers = new Map();
+  schema.post(RULES_WRITE_OPERATIONS, function afterWriteRules() {
+    return Promise.all(
+      _.map([...refreshers.values()], (refresh) => refresh(connection))
+    );
+  });
+
+  // register tag rules model and its refreshers
+  const TagRule = connection.model(modelName, schema);
+  RULES_REFRESHERS.set(TagRule, refreshers);
+  return TagRule;
+}
+
+/**
+ * @function tagRegistryModelOf
+ * @name tagRegistryModelOf
+ * @description obtain model of tag registry collection
+ * @param {object} connection valid mongoose connection
+ * @param {string} collection valid tag registry collection name
+ * @returns {object} valid tag registry mongoose model
+ * @author lally elias <lallyelias87@mail.com>
+ * @license MIT
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ * const Tag = tagRegistryModelOf(User.db, 'tags');
+ * Tag.find({ 'counts.User': { $gt: 0 } }, done);
+ */
+function tagRegistryModelOf(connection, collection) {
+  // reuse existing model
+  const modelName = _.upperFirst(_.camelCase(['taggable', collection]));
+  if (connection.models[modelName]) {
+    return connection.models[modelName];
+  }
+
+  // tag schema
+  const schema = new Schema(
+    {
+      name: { type: String, trim: true, required: true, unique: true },
+      slug: { type: String, trim: true, index: true },
+      description: { type: String, trim: true },
+      color: { type: String, trim: true },
+      counts: { type: Map, of: Number, default: undefined },
+    },
+    { collection, timestamps: true }
+  );
+
+  // register tag registry model
+  return connection.model(modelName, schema);
+}
+
 /**
  * @function taggable
  * @name taggable
@@ -330,7 +1135,42 @@ function collectTaggables(schema, tagsPath) {
  * @param {object} [optns] plugin options
  * @param {string} [optns.path=tags] schema path where tags will be stored.
  * @param {string} [optns.blacklist=[]] list of words to remove from tags.
- * @param {string} [optns.fresh=false] whether to recompute fresh tags.
+ * @param {string[]} [optns.languages=[]] iso codes of languages whose
+ * stopwords to remove from tags. Default to all languages.
+ * @param {string[] | object} [optns.stopwords] custom stopwords list or hash
+ * of language and its custom stopwords list to remove from tags.
+ * @param {string} [optns.languagePath] schema path which holds document
+ * language(s) to use when removing stopwords.
+ * @param {boolean | string} [optns.segment=false] whether to segment or
+ * locale to use when segmenting words of scripts which does not use spaces.
+ * @param {boolean | string | Function} [optns.normalize=false] canonical form
+ * normalization to apply on tags. Either `singular`, `stem` or custom function.
+ * @param {object | Function} [optns.synonyms={}] hash of canonical tag and its
+ * aliases or a loader function which return same hash.
+ * @param {boolean} [optns.resolveRefs=false] whether to load unpopulated
+ * taggable refs when tagging on hook.
+ * @param {boolean} [optns.updates=true] whether to recompute tags when
+ * update queries touch taggable paths.
+ * @param {boolean} [optns.provenance=false] whether to record source of each
+ * tag.
+ * @param {boolean} [optns.weights=false] whether to store weight of each tag
+ * summed across taggable fields weights and term frequency.
+ * @param {string[] | Set | Function | string} [optns.vocabulary] allowed tags,
+ * a loader function which return them or a collection name to load their
+ * names from.
+ * @param {string} [optns.vocabularyPolicy=drop] what to do with tags not in
+ * vocabulary. Either `drop`, `reject` or `suggest`.
+ * @param {string} [optns.rulesCollection] collection name to load blacklist
+ * and whitelist rules from.
+ * @param {number} [optns.rulesTtl=60000] milliseconds to cache rules for.
+ * @param {string} [optns.registry] collection name of tag registry to keep
+ * tags usage counts in sync.
+ * @param {string | object} [optns.hierarchy=false] either `path` for path
+ * style tags i.e `electronics/phones` or hash of tag and its parent tag.
+ * Ancestors of tags are added when tagging.
+ * @param {boolean} [optns.cascadeUntag=false] whether untagging a tag also
+ * untag its descendants.
+ * @param {string} [optns.fresh=false] whether to recompute fresh derived tags.
  * @param {string} [optns.hook=validate] when to run tagging hook.
  * @param {boolean | string} [optns.index=true] whether to index tags.
  * @param {boolean} [optns.searchable=true] whether to allow search on tags.
@@ -338,7 +1178,7 @@ function collectTaggables(schema, tagsPath) {
  * @author lally elias <lallyelias87@mail.com>
  * @license MIT
  * @since 0.1.0
- * @version 0.2.0
+ * @version 0.3.0
  * @public
  * @example
  *
@@ -349,8 +1189,34 @@ function collectTaggables(schema, tagsPath) {
 function taggable(schema, optns) {
   // ensure options
   const BLACKLIST = getStrings('TAGGABLE_BLACKLIST', []);
+  const LANGUAGES = getStrings('TAGGABLE_LANGUAGES', []);
   const options = _.merge({}, defaultTaggableOptions, optns);
-  const blacklist = [...BLACKLIST, ...options.blacklist];
+  const BLACKLIST_PRESET = getStrings('TAGGABLE_BLACKLIST_PRESETS', []);
+  const blacklistEntries = [...BLACKLIST, ...options.blacklist];
+  const blacklist = _.filter(blacklistEntries, _.isString);
+  const blacklistPresets = [...BLACKLIST_PRESET, ...options.blacklistPresets];
+  const blacklistMatchers = blacklistMatchersOf(
+    blacklistEntries,
+    blacklistPresets
+  );
+  const stripUrls = _.includes(blacklistPresets, 'urls');
+  const languages = [...LANGUAGES, ...options.languages];
+  const {
+    stopwords: customStopwords,
+    languagePath,
+    segment,
+    normalize,
+    synonyms,
+    provenance,
+    weights,
+    vocabulary,
+    vocabularyPolicy,
+    rulesCollection,
+    rulesTtl,
+    registry,
+    hierarchy,
+    cascadeUntag,
+  } = options;
 
   // add tags schema paths
   const { path, index, duplicate, searchable, exportable, hide, fresh, hook } =
@@ -369,20 +1235,1380 @@ function taggable(schema, optns) {
     },
   });
 
+  // add manual, derived and suppressed tags schema paths
+  const manualPath = _.camelCase(['manual', path]);
+  const derivedPath = _.camelCase(['derived', path]);
+  const suppressedPath = _.camelCase(['suppressed', path]);
+  const tagPaths = [path, manualPath, derivedPath, suppressedPath];
+  _.forEach([manualPath, derivedPath, suppressedPath], (tagPath) => {
+    // eslint-disable-next-line no-param-reassign
+    schema.add({ [tagPath]: { type, hide: true, default: undefined } });
+  });
+
+  // add weighted tags schema path
+  const weightedPath = _.camelCase(['weighted', path]);
+  const fieldOptions = collectFieldOptions(schema, path);
+  const prefixes = _.uniq(_.compact(_.map(fieldOptions, 'prefix')));
+  if (weights) {
+    // eslint-disable-next-line no-param-reassign
+    schema.add({
+      [weightedPath]: {
+        type: [{ _id: false, tag: String, weight: Number }],
+        hide: true,
+        default: undefined,
+      },
+    });
+  }
+
+  // add suggested tags schema path
+  const suggestedPath = _.camelCase(['suggested', path]);
+  if (vocabulary && vocabularyPolicy === 'suggest') {
+    // eslint-disable-next-line no-param-reassign
+    schema.add({ [suggestedPath]: { type, hide: true, default: undefined } });
+  }
+
+  // add tags provenance schema path
+  const provenancePath = _.camelCase([path, 'provenance']);
+  if (provenance) {
+    // eslint-disable-next-line no-param-reassign
+    schema.add({
+      [provenancePath]: { type: Map, of: type, hide: true, default: undefined },
+    });
+  }
+
+  // obtain document languages, fallback to plugin languages
+  const languagesOf = (instance) => {
+    const docLanguages = languagePath ? _.get(instance, languagePath) : [];
+    return _.isEmpty(docLanguages) ? languages : docLanguages;
+  };
+
+  // lazy load synonyms, from async loader once per schema sharing in-flight
+  // load
+  let aliases;
+  let pendingAliases;
+  const synonymsOf = () => {
+    aliases = aliases || collectSynonyms(synonyms);
+    return aliases;
+  };
+  const loadSynonyms = () => {
+    if (aliases || !_.isFunction(synonyms)) {
+      return Promise.resolve(synonymsOf());
+    }
+    if (!pendingAliases) {
+      pendingAliases = Promise.resolve(synonyms()).then(
+        (loaded) => {
+          pendingAliases = undefined;
+          aliases = collectSynonyms(loaded);
+          return aliases;
+        },
+        (error) => {
+          pendingAliases = undefined;
+          throw error;
+        }
+      );
+    }
+    return pendingAliases;
+  };
+
+  // lazy load vocabulary terms, from loader or collection once per schema,
+  // sharing in-flight load
+  let terms;
+  let pendingTerms;
+  const termsOf = (found) => {
+    terms = new Set(
+      normalizeTags([...found], {
+        languages,
+        segment,
+        normalize,
+        synonyms: synonymsOf(),
+      })
+    );
+    return terms;
+  };
+  const pendingTermsOf = (found) => {
+    pendingTerms = Promise.resolve(found).then(
+      (loaded) => {
+        pendingTerms = undefined;
+        return termsOf(loaded);
+      },
+      (error) => {
+        pendingTerms = undefined;
+        throw error;
+      }
+    );
+    return pendingTerms;
+  };
+  const vocabularyOf = () => {
+    if (!terms && !pendingTerms && vocabulary && !_.isString(vocabulary)) {
+      const found = _.isFunction(vocabulary) ? vocabulary() : vocabulary;
+      if (isPromise(found)) {
+        // ignore failure here, it is surfaced on load
+        pendingTermsOf(found).catch(_.noop);
+        return undefined;
+      }
+      return termsOf(found);
+    }
+    return terms;
+  };
+  const loadVocabulary = (connection) => {
+    if (!vocabulary || vocabularyOf()) {
+      return Promise.resolve(terms);
+    }
+    if (!pendingTerms) {
+      pendingTermsOf(connection.collection(vocabulary).distinct('name'));
+    }
+    return pendingTerms;
+  };
+
+  // obtain tags normalization options
+  const normalizationOf = (instance) => {
+    return {
+      languages: languagesOf(instance),
+      segment,
+      normalize,
+      synonyms: synonymsOf(),
+    };
+  };
+
+  // cache blacklist and whitelist rules from rules collection
+  let rules = { blacklist: [], whitelist: [] };
+  let rulesExpireAt = 0;
+
+  // precompute stopwords and normalized blacklist once per languages
+  const languagesKey = (langs) => _.join(_.sortBy(_.compact(langs)), ',');
+  const stopwordsFor = _.memoize((langs) => {
+    return new Set(stopwordsOf(langs, customStopwords));
+  }, languagesKey);
+  const blacklistFor = _.memoize((langs) => {
+    const normalization = { languages: langs, segment, normalize };
+    const $normalization = { ...normalization, synonyms: synonymsOf() };
+    return new Set(
+      _.difference(
+        normalizeTags([...blacklist, ...rules.blacklist], $normalization),
+        normalizeTags(rules.whitelist, $normalization)
+      )
+    );
+  }, languagesKey);
+  const whitelistFor = _.memoize((langs) => {
+    const normalization = { languages: langs, segment, normalize };
+    return new Set(
+      normalizeTags(rules.whitelist, {
+        ...normalization,
+        synonyms: synonymsOf(),
+      })
+    );
+  }, languagesKey);
+
+  // load rules from rules collection and reset precomputed blacklist
+  const refreshRules = (connection) => {
+    const TagRule = tagRulesModelOf(connection, rulesCollection);
+    const query = TagRule.find({}, 'name type', { lean: true });
+    return query.exec().then((found) => {
+      const { blacklist: banned, whitelist: allowed } = _.groupBy(
+        found,
+        (rule) => rule.type || 'blacklist'
+      );
+      rules = {
+        blacklist: _.map(banned, 'name'),
+        whitelist: _.map(allowed, 'name'),
+      };
+      rulesExpireAt = Date.now() + rulesTtl;
+      blacklistFor.cache.clear();
+      whitelistFor.cache.clear();
+      return rules;
+    });
+  };
+
+  // obtain rules model of a connection, subscribing to refresh rules after
+  // writes to it. Failures are ignored, so they do not fail the writes, and
+  // expired rules are reloaded on next tagging
+  const refreshAfterWrite = (connection) => {
+    rulesExpireAt = 0;
+    return refreshRules(connection).catch(_.noop);
+  };
+  const rulesModelOf = (connection) => {
+    const TagRule = tagRulesModelOf(connection, rulesCollection);
+    RULES_REFRESHERS.get(TagRule).set(schema, refreshAfterWrite);
+    return TagRule;
+  };
+
+  // ensure rules are loaded and not expired, sharing in-flight load
+  let pendingRules;
+  const ensureRules = (connection) => {
+    if (!rulesCollection || Date.now() < rulesExpireAt) {
+      return Promise.resolve(rules);
+    }
+    if (!pendingRules) {
+      const done = () => {
+        pendingRules = undefined;
+      };
+      rulesModelOf(connection);
+      pendingRules = refreshRules(connection);
+      pendingRules.then(done, done);
+    }
+    return pendingRules;
+  };
+
+  // check if a tag is a path style hierarchical tag
+  const isPathTag = (tag) => {
+    return (
+      hierarchy === 'path' &&
+      _.isString(tag) &&
+      _.includes(tag, HIERARCHY_SEPARATOR)
+    );
+  };
+
+  // normalize and canonicalize each part of a path style tag, the same way
+  // plain tags are
+  const preparePathTag = (tag, normalization) => {
+    const parts = _.map(_.split(tag, HIERARCHY_SEPARATOR), (part) => {
+      return _.join(normalizeTags(part, normalization), '-');
+    });
+    return _.join(_.compact(parts), HIERARCHY_SEPARATOR);
+  };
+
+  // lazy load normalized parent of each tag
+  let parents;
+  const parentsOf = () => {
+    if (!parents) {
+      const normalization = {
+        languages,
+        segment,
+        normalize,
+        synonyms: synonymsOf(),
+      };
+      const normalized = (tag) => _.head(normalizeTags(tag, normalization));
+      parents = new Map(
+        _.map(hierarchy, (parent, child) => {
+          return [normalized(child), normalized(parent)];
+        })
+      );
+    }
+    return parents;
+  };
+
+  // collect ancestors of a tag, from root to its parent
+  const ancestorsOf = (tag) => {
+    if (hierarchy === 'path') {
+      const parts = _.split(tag, HIERARCHY_SEPARATOR);
+      return _.map(_.range(1, parts.length), (depth) => {
+        return _.join(_.take(parts, depth), HIERARCHY_SEPARATOR);
+      });
+    }
+    if (!_.isPlainObject(hierarchy)) {
+      return [];
+    }
+    const ancestors = [];
+    let parent = parentsOf().get(tag);
+    while (parent && parent !== tag && !_.includes(ancestors, parent)) {
+      ancestors.unshift(parent);
+      parent = parentsOf().get(parent);
+    }
+    return ancestors;
+  };
+
+  // expand tags with their ancestors
+  const expandTags = (tags) => {
+    return _.uniq(_.flatMap(tags, (tag) => [...ancestorsOf(tag), tag]));
+  };
+
+  // collect descendants of tags from given candidates tags
+  const descendantsOf = (tags, candidates) => {
+    return _.filter(candidates, (candidate) => {
+      const ancestors = ancestorsOf(candidate);
+      return _.some(tags, (tag) => _.includes(ancestors, tag));
+    });
+  };
+
+  // normalize, remove stopwords, canonicalize and remove blacklist from tags
+  // derived from a taggable path, applying its options
+  const prepareFieldTags = (tags, source, instance) => {
+    const {
+      prefix = '',
+      blacklist: fieldBlacklist,
+      stopwords: fieldStopwords,
+      maxTags,
+      minLength,
+      transform,
+    } = _.get(fieldOptions, source, {});
+    const normalization = normalizationOf(instance);
+    const $languages = [].concat(normalization.languages);
+    const fieldMatchers = blacklistMatchersOf(fieldBlacklist);
+    const isBlacklisted = (tag) => {
+      const matchers = [...blacklistMatchers, ...fieldMatchers];
+      const isMatched = _.some(matchers, (matcher) => matcher(tag));
+      return isMatched && !whitelistFor($languages).has(tag);
+    };
+    // remove stopwords, unless disabled, and blacklist
+    const removeUnwanted = (normalized) => {
+      let kept = normalized;
+      if (fieldStopwords !== false) {
+        kept = removeStopwords(kept, {
+          stopwords: stopwordsFor($languages),
+          segment,
+        });
+        if (_.isArray(fieldStopwords) || _.isString(fieldStopwords)) {
+          const extras = normalizeTags(fieldStopwords, { segment });
+          kept = _.difference(kept, extras);
+        }
+      }
+      // canonicalize and remove blacklist
+      kept = removeBlacklist(kept, blacklistFor($languages), normalization);
+      kept = _.difference(
+        kept,
+        normalizeTags(
+          _.filter([].concat(fieldBlacklist), _.isString),
+          normalization
+        )
+      );
+      return _.reject(kept, isBlacklisted);
+    };
+    // collect path style tags, cut before first unwanted part so its
+    // descendants are dropped too
+    const [paths, phrases] = _.partition(
+      _.compact(_.flattenDeep([].concat(tags))),
+      isPathTag
+    );
+    const pathTags = _.compact(
+      _.map(paths, (tag) => {
+        const prepared = preparePathTag(tag, normalization);
+        const parts = _.split(prepared, HIERARCHY_SEPARATOR);
+        const isWanted = (part) => !_.isEmpty(removeUnwanted([part]));
+        return _.join(_.takeWhile(parts, isWanted), HIERARCHY_SEPARATOR);
+      })
+    );
+    // normalize tags, without urls, and remove unwanted ones
+    let $tags = removeUnwanted(normalizeTags(phrases, { segment, stripUrls }));
+    // transform tags
+    if (_.isFunction(transform)) {
+      $tags = _.uniq(_.compact(_.map($tags, (tag) => transform(tag))));
+    }
+    // ensure tags length and count
+    if (minLength) {
+      $tags = _.filter($tags, (tag) => _.size(tag) >= minLength);
+    }
+    if (maxTags) {
+      $tags = _.take($tags, maxTags);
+    }
+    // merge path style tags
+    $tags = _.uniq([...$tags, ...pathTags]);
+    // return prepared and prefixed tags
+    return _.map($tags, (tag) => `${prefix}${tag}`);
+  };
+
+  // obtain known field prefix of a tag
+  const prefixOf = (tag) => {
+    return _.find(prefixes, (prefix) => {
+      return _.isString(tag) && _.startsWith(_.toLower(tag), _.toLower(prefix));
+    });
+  };
+
+  // normalize, remove stopwords, canonicalize and remove blacklist from tags,
+  // keeping known field prefixes
+  const prepareTags = (tags, instance) => {
+    // prepare unprefixed tags
+    if (_.isEmpty(prefixes)) {
+      return prepareFieldTags(tags, undefined, instance);
+    }
+    const $tags = _.compact(_.flattenDeep([].concat(tags)));
+    const [prefixed, unprefixed] = _.partition($tags, prefixOf);
+    // normalize prefixed tags
+    const prefixedTags = _.flatMap(prefixed, (tag) => {
+      const prefix = prefixOf(tag);
+      const $words = normalizeTags(tag.slice(prefix.length), { segment });
+      return _.map($words, (word) => `${prefix}${word}`);
+    });
+    // return prepared tags
+    return _.uniq([
+      ...prepareFieldTags(unprefixed, undefined, instance),
+      ...prefixedTags,
+    ]);
+  };
+
+  // build tags query conditions
+  const conditionsOf = (tags, match = 'any') => {
+    const $tags = prepareTags(tags);
+    const operators = { any: '$in', all: '$all', none: '$nin' };
+    const operator = _.get(operators, match, '$in');
+    return { [path]: { [operator]: $tags } };
+  };
+
+  // obtain copy of stored instance tags provenance
+  const provenanceOf = (instance) => {
+    const sources = {};
+    if (provenance && instance[provenancePath]) {
+      instance[provenancePath].forEach((tagSources, tag) => {
+        sources[tag] = [...tagSources];
+      });
+    }
+    return sources;
+  };
+
+  // obtain copy of stored instance tags
+  const storedTagsOf = (instance) => {
+    const stored = {};
+    _.forEach(tagPaths, (tagPath) => {
+      if (instance[tagPath]) {
+        stored[tagPath] = [...instance[tagPath]];
+      }
+    });
+    if (provenance && instance[provenancePath]) {
+      stored[provenancePath] = provenanceOf(instance);
+    }
+    if (weights && instance[weightedPath]) {
+      stored[weightedPath] = _.map(
+        instance[weightedPath],
+        ({ tag, weight }) => {
+          return { tag, weight };
+        }
+      );
+    }
+    return stored;
+  };
+
+  // obtain stored weight of each instance tag
+  const weightsOf = (instance) => {
+    return new Map(
+      _.map(instance[weightedPath], ({ tag, weight }) => [tag, weight])
+    );
+  };
+
+  // sum weight of each tag across sources and term frequency
+  const applyWeights = (instance, tags, manual, fieldSources) => {
+    const oldWeights = fresh ? new Map() : weightsOf(instance);
+    const sums = new Map();
+    const addWeight = (sourceTags, weight) => {
+      _.forEach(sourceTags, (tag) => {
+        sums.set(tag, (sums.get(tag) || 0) + weight);
+      });
+    };
+    addWeight(manual, 1);
+    _.forEach(fieldSources, (sourceTags, source) => {
+      const weight = _.get(fieldOptions, [source, 'weight'], 1);
+      _.forEach(sourceTags, (sourceTag) => {
+        addWeight(prepareFieldTags(sourceTag, source, instance), weight);
+      });
+    });
+    // eslint-disable-next-line no-param-reassign
+    instance[weightedPath] = _.map(tags, (tag) => {
+      return { tag, weight: sums.get(tag) || oldWeights.get(tag) || 1 };
+    });
+  };
+
+  // record source of each tag
+  const applyProvenance = (instance, tags, sourcedTags) => {
+    const sources = fresh ? {} : provenanceOf(instance);
+    const addSource = (sourceTags, source) => {
+      _.forEach(sourceTags, (tag) => {
+        sources[tag] = _.union(sources[tag], [source]);
+      });
+    };
+    _.forEach(sourcedTags, addSource);
+    // eslint-disable-next-line no-param-reassign
+    instance[provenancePath] = _.pick(sources, tags);
+  };
+
+  // build aggregate expression which sum weights of matched tags
+  const matchedWeightOf = (tags) => {
+    if (!weights) {
+      return { $size: { $setIntersection: [`$${path}`, tags] } };
+    }
+    const matched = {
+      $filter: {
+        input: { $ifNull: [`$${weightedPath}`, []] },
+        as: 'weighted',
+        cond: { $in: ['$$weighted.tag', tags] },
+      },
+    };
+    return {
+      $sum: {
+        $map: { input: matched, as: 'weighted', in: '$$weighted.weight' },
+      },
+    };
+  };
+
+  // drop or suggest tags which are not in vocabulary
+  const applyVocabulary = (instance, tags) => {
+    const $terms = vocabularyOf();
+    if (!$terms || vocabularyPolicy === 'reject') {
+      return tags;
+    }
+    const [known, unknown] = _.partition(tags, (tag) => $terms.has(tag));
+    if (vocabularyPolicy === 'suggest') {
+      // eslint-disable-next-line no-param-reassign
+      instance[suggestedPath] = unknown;
+    }
+    return known;
+  };
+
+  // merge, prepare and set instance manual, derived and public tags
+  const applyTags = (instance, tags, fieldSources = {}) => {
+    // obtain existing tags
+    const {
+      [path]: oldTags = [],
+      [manualPath]: oldManual = [],
+      [derivedPath]: oldDerived = [],
+      [suppressedPath]: oldSuppressed = [],
+    } = storedTagsOf(instance);
+    // merge provided tags into manual tags, and unsuppress them
+    const newManual = prepareTags(tags, instance);
+    const manual = _.uniq([...oldManual, ...newManual]);
+    const suppressed = _.difference(oldSuppressed, newManual);
+    // merge or recompute derived tags, applying taggable paths options
+    const preparedSources = _.mapValues(fieldSources, (sourceTags, source) => {
+      return prepareFieldTags(sourceTags, source, instance);
+    });
+    const fieldTags = _.flatten(_.values(preparedSources));
+    const derived = _.uniq([...(fresh ? [] : oldDerived), ...fieldTags]);
+    // prepare legacy tags, neither manual nor derived
+    const legacy = fresh
+      ? []
+      : prepareTags(
+          _.difference(oldTags, [...oldManual, ...oldDerived]),
+          instance
+        );
+    // union manual and derived tags and their ancestors, without suppressed
+    // tags
+    let $tags = _.difference(
+      expandTags(_.uniq([...legacy, ...manual, ...derived])),
+      suppressed
+    );
+    // apply controlled vocabulary
+    $tags = applyVocabulary(instance, $tags);
+    // set and update tags
+    /* eslint-disable no-param-reassign */
+    instance[manualPath] = manual;
+    instance[derivedPath] = derived;
+    instance[suppressedPath] = suppressed;
+    instance[path] = $tags;
+    /* eslint-enable no-param-reassign */
+    // record tags sources
+    if (provenance) {
+      applyProvenance(instance, $tags, { manual, ...preparedSources });
+    }
+    // compute tags weights
+    if (weights) {
+      applyWeights(instance, $tags, manual, fieldSources);
+    }
+    // return tags
+    return $tags;
+  };
+
   // collect taggable schema paths
-  const taggables = collectTaggables(schema, path);
+  const taggables = collectTaggables(schema, path, { segment, stripUrls });
+  const refs = collectRefs(schema, path, options.resolveRefs);
+
+  // collect taggable paths which are safe to extract synchronously, ignoring
+  // async functions and paths marked `async`
+  const syncTaggables = _.omitBy(taggables, (extract, pathName) => {
+    const isAsync = _.get(fieldOptions, [pathName, 'async'], false);
+    return isAsync || _.get(extract, 'constructor.name') === 'AsyncFunction';
+  });
+
+  // recompute tags of instances and check if they changed. Either drop all
+  // but manual tags when fresh, or drop derived tags only when derived
+  const retagInstances = (instances, { fresh: recompute, derived } = {}) => {
+    const retag = (instance) => {
+      const oldTags = _.sortBy([].concat(instance[path] || []));
+      /* eslint-disable no-param-reassign */
+      if (recompute) {
+        instance[path] = [];
+        instance[derivedPath] = [];
+      }
+      if (derived) {
+        instance[path] = _.difference(oldTags, instance[derivedPath] || []);
+        instance[derivedPath] = [];
+      }
+      /* eslint-enable no-param-reassign */
+      return instance.tagAsync().then((tags) => {
+        const changed = !_.isEqual(oldTags, _.sortBy(tags));
+        return { instance, tags, changed };
+      });
+    };
+    return Promise.all(_.map(instances, retag));
+  };
+
+  // build bulk write operations to save changed tags
+  const retagOpsOf = (results) => {
+    return _.map(_.filter(results, 'changed'), ({ instance }) => {
+      return {
+        updateOne: {
+          // eslint-disable-next-line no-underscore-dangle
+          filter: { _id: instance._id },
+          update: { $set: storedTagsOf(instance) },
+        },
+      };
+    });
+  };
+
+  // build url friendly slug of a tag
+  const slugOf = (tag) => _.trim(_.replace(tag, SLUG_PATTERN, '-'), '-');
+
+  // track registered tags of instances to diff on changes
+  const registeredTags = new WeakMap();
+
+  // update tag registry usage counts by diffing old and new instances tags.
+  // New tags are tracked once saved, so failed changes are retried on next
+  // sync
+  const syncRegistry = (
+    Model,
+    instances,
+    { removed = false, session } = {}
+  ) => {
+    if (!registry) {
+      return Promise.resolve();
+    }
+    // compute usage count changes
+    const deltas = new Map();
+    const addDelta = (tags, delta) => {
+      _.forEach(tags, (tag) => {
+        deltas.set(tag, (deltas.get(tag) || 0) + delta);
+      });
+    };
+    const tracked = _.map(instances, (instance) => {
+      const oldTags = registeredTags.get(instance) || [];
+      const newTags = removed ? [] : [...(instance[path] || [])];
+      addDelta(_.difference(newTags, oldTags), 1);
+      addDelta(_.difference(oldTags, newTags), -1);
+      return [instance, newTags];
+    });
+    const track = () => {
+      _.forEach(tracked, ([instance, newTags]) => {
+        registeredTags.set(instance, newTags);
+      });
+    };
+    // build usage count changes operations
+    const counter = `counts.${Model.modelName}`;
+    const changes = _.filter([...deltas], ([, delta]) => delta !== 0);
+    const ops = _.map(changes, ([tag, delta]) => {
+      return {
+        updateOne: {
+          filter: { name: tag },
+          update: {
+            $inc: { [counter]: delta },
+            $setOnInsert: { slug: slugOf(tag) },
+          },
+          upsert: true,
+        },
+      };
+    });
+    if (_.isEmpty(ops)) {
+      track();
+      return Promise.resolve();
+    }
+    // save usage count changes
+    const Tag = tagRegistryModelOf(Model.db, registry);
+    return Tag.bulkWrite(ops, { session }).then(track);
+  };
+
+  // recompute and save tags of instances matching filter in batches, within
+  // session if any
+  const retagWhere = (Model, filter, retagOptns) => {
+    // ensure options
+    const {
+      batchSize = 100,
+      fresh: recompute = false,
+      derived = false,
+      dryRun = false,
+      onProgress,
+      onRetag,
+    } = _.merge({}, _.omit(retagOptns, 'session'));
+    const session = _.get(retagOptns, 'session');
+    const sessionOptns = session ? { session } : {};
+    const counts = { scanned: 0, changed: 0, unchanged: 0 };
+
+    // retag and save a batch of instances
+    const retagBatch = (instances) => {
+      return retagInstances([].concat(instances), { fresh: recompute, derived })
+        .then((results) => {
+          if (_.isFunction(onRetag)) {
+            onRetag(results);
+          }
+          const ops = retagOpsOf(results);
+          counts.scanned += results.length;
+          counts.changed += ops.length;
+          counts.unchanged += results.length - ops.length;
+          if (dryRun || _.isEmpty(ops)) {
+            return ops;
+          }
+          // ignore registry failures, so they do not fail saved retags
+          const changed = _.map(_.filter(results, 'changed'), 'instance');
+          return Model.bulkWrite(ops, sessionOptns).then(() =>
+            syncRegistry(Model, changed, sessionOptns).catch(_.noop)
+          );
+        })
+        .then(() => {
+          if (_.isFunction(onProgress)) {
+            onProgress({ ...counts });
+          }
+        });
+    };
+
+    // stream instances in batches
+    return Model.find(filter, null, sessionOptns)
+      .cursor({ batchSize })
+      .eachAsync(retagBatch, { batchSize })
+      .then(() => counts);
+  };
+
+  // recompute derived tags of instances with given ids and save changed ones
+  const retagByIds = (Model, ids, retagOptns) => {
+    const filter = { _id: { $in: ids } };
+    return retagWhere(Model, filter, { ...retagOptns, derived: true });
+  };
+
+  // set tags of instance from its taggable fields and refs tags, awaiting
+  // async extractors
+  const tagFromAllFields = (instance, tags, refTags) => {
+    const fieldTags = Promise.all(
+      _.map(tagFromFields(instance, taggables), (promises, source) =>
+        Promise.all(promises).then(($tags) => [source, _.flattenDeep($tags)])
+      )
+    );
+    return fieldTags.then(($fieldTags) => {
+      // merge tags of same source
+      const fieldSources = _.mergeWith(
+        {},
+        refTags,
+        _.fromPairs($fieldTags),
+        (refSourceTags, sourceTags) => _.concat(refSourceTags || [], sourceTags)
+      );
+      // set and return tags
+      return applyTags(instance, tags, fieldSources);
+    });
+  };
+
+  // generate and set tags of raw documents, loading vocabulary, rules and
+  // refs once for all documents
+  const tagRawDocs = (Model, docs) => {
+    const $docs = _.compact([].concat(docs));
+    const instances = _.map($docs, (doc) =>
+      isInstance(doc) ? doc : new Model(doc)
+    );
+    // tag an instance and set its tags into raw document
+    const tagDoc = (doc, instance, refTags) => (next) => {
+      tagFromAllFields(instance, [], refTags).then(() => {
+        _.forEach(storedTagsOf(instance), (tags, tagPath) => {
+          // eslint-disable-next-line no-param-reassign
+          doc[tagPath] = tags;
+        });
+        next(null, instance);
+      }, next);
+    };
+    return loadSynonyms()
+      .then(() => loadVocabulary(Model.db))
+      .then(() => ensureRules(Model.db))
+      .then(() => tagFromRefs(instances, taggables, refs))
+      .then((refTags) => {
+        const tasks = _.map($docs, (doc, at) =>
+          tagDoc(doc, instances[at], refTags[at])
+        );
+        return new Promise((resolve, reject) => {
+          parallelLimit(tasks, TAGGING_CONCURRENCY, (error, tagged) => {
+            return error ? reject(error) : resolve(tagged);
+          });
+        });
+      });
+  };
+
+  // paths which affect tags when changed
+  const watchedPaths = _.compact([..._.keys(taggables), path, languagePath]);
+  const watchedRoots = _.uniq(
+    _.map(watchedPaths, (p) => _.head(_.split(p, '.')))
+  );
+
+  // check if instance is new or any of its watched paths is modified
+  const isTaggableModified = (instance) => {
+    return (
+      instance.isNew ||
+      _.some(watchedRoots, (root) => instance.isModified(root))
+    );
+  };
+
   // eslint-disable-next-line no-param-reassign
   schema.statics.TAGGABLE_FIELDS = taggables;
 
+  /**
+   * @function tagRules
+   * @name tagRules
+   * @description obtain model of tag rules collection. Writes through it
+   * refresh cached rules. Require `rulesCollection` option
+   * @returns {object} valid tag rules mongoose model
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @static
+   * @example
+   * User.tagRules().create({ name: 'spam', type: 'blacklist' }, done);
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.statics.tagRules = function tagRules() {
+    return rulesCollection ? rulesModelOf(this.db) : undefined;
+  };
+
+  /**
+   * @function refreshTagRules
+   * @name refreshTagRules
+   * @description reload blacklist and whitelist rules from rules collection
+   * @returns {Promise} promise which resolve loaded rules
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @static
+   * @example
+   * User.refreshTagRules().then((rules) => { ... });
+   * //=> { blacklist: ['spam'], whitelist: ['nodejs'] }
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.statics.refreshTagRules = function refreshTagRules() {
+    if (!rulesCollection) {
+      return Promise.resolve(rules);
+    }
+    rulesModelOf(this.db);
+    return refreshRules(this.db);
+  };
+
+  /**
+   * @function tagRegistry
+   * @name tagRegistry
+   * @description obtain model of tag registry collection. Require `registry`
+   * option
+   * @returns {object} valid tag registry mongoose model
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @static
+   * @example
+   * User.tagRegistry().find({ 'counts.User': { $gt: 0 } }, done);
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.statics.tagRegistry = function tagRegistry() {
+    return registry ? tagRegistryModelOf(this.db, registry) : undefined;
+  };
+
+  /**
+   * @function rebuildTagCounts
+   * @name rebuildTagCounts
+   * @description recompute model tags usage counts of tag registry from
+   * scratch
+   * @returns {Promise} promise which resolve tags usage counts
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @static
+   * @example
+   * User.rebuildTagCounts().then((counts) => { ... });
+   * //=> [ { tag: 'js', count: 8 }, { tag: 'nodejs', count: 5 }, ... ]
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.statics.rebuildTagCounts = function rebuildTagCounts() {
+    // ensure registry
+    if (!registry) {
+      return Promise.resolve([]);
+    }
+    const Model = this;
+    const Tag = tagRegistryModelOf(Model.db, registry);
+    const counter = `counts.${Model.modelName}`;
+
+    // reset and set usage counts
+    const rebuild = (counts) => {
+      const ops = _.map(counts, ({ tag, count }) => {
+        return {
+          updateOne: {
+            filter: { name: tag },
+            update: {
+              $set: { [counter]: count },
+              $setOnInsert: { slug: slugOf(tag) },
+            },
+            upsert: true,
+          },
+        };
+      });
+      const reset = {
+        updateMany: { filter: {}, update: { $unset: { [counter]: '' } } },
+      };
+      return Tag.bulkWrite([reset, ...ops]).then(() => counts);
+    };
+
+    // count tags usage
+    return Model.tagCloud().exec().then(rebuild);
+  };
+
+  /**
+   * @function tagAliases
+   * @name tagAliases
+   * @description list aliases of a canonical tag
+   * @param {string} tag valid canonical tag or its alias
+   * @returns {string[]} set of aliases of a canonical tag
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @static
+   * @example
+   * User.tagAliases('javascript');
+   * //=> ['js', 'ecmascript']
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.statics.tagAliases = function tagAliases(tag) {
+    // obtain canonical tag
+    const $aliases = synonymsOf();
+    const $tag = _.toLower(_.trim(tag));
+    const canonical = $aliases.get($tag) || $tag;
+    // collect canonical tag aliases
+    const found = [];
+    $aliases.forEach((value, alias) => {
+      if (value === canonical) {
+        found.push(alias);
+      }
+    });
+    // return aliases
+    return found;
+  };
+
+  /**
+   * @function findByTags
+   * @name findByTags
+   * @description find model instances by tags
+   * @param {string | string[]} tags set of tags to find model instances with
+   * @param {object} [findOptns] find options
+   * @param {string} [findOptns.match=any] how to match tags. Either `any`, `all`
+   * or `none`
+   * @returns {object} valid instance of mongoose query
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @static
+   * @example
+   * User.findByTags(['js', 'nodejs'], { match: 'all' }).exec(done);
+   * //=> [ User { ... }, ... ]
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.statics.findByTags = function findByTags(tags, findOptns) {
+    return this.find().tagged(tags, findOptns);
+  };
+
+  /**
+   * @function rankByTags
+   * @name rankByTags
+   * @description find model instances by tags ranked by summed weight of
+   * matched tags. Matched tags count is used when weights are not stored
+   * @param {string | string[]} tags set of tags to find model instances with
+   * @param {object} [rankOptns] rank options
+   * @param {string} [rankOptns.match=any] how to match tags. Either `any` or
+   * `all`
+   * @param {number} [rankOptns.limit=10] maximum number of instances
+   * @param {object} [rankOptns.filter] valid conditions to filter model
+   * instances with
+   * @returns {object} valid instance of mongoose aggregate
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @static
+   * @example
+   * Post.rankByTags(['js', 'nodejs'], { limit: 5 }).exec(done);
+   * //=> [ { ..., relevance: { weight: 7 } }, ... ]
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.statics.rankByTags = function rankByTags(tags, rankOptns) {
+    // ensure options
+    const { match, limit = 10, filter } = _.merge({}, rankOptns);
+    const conditions = this.where(_.merge({}, filter)).cast(this);
+    const $tags = prepareTags(tags);
+
+    // rank matched instances
+    return this.aggregate()
+      .match({ ...conditions, ...conditionsOf($tags, match) })
+      .addFields({ 'relevance.weight': matchedWeightOf($tags) })
+      .sort({ 'relevance.weight': -1, _id: 1 })
+      .limit(limit);
+  };
+
+  /**
+   * @function tagCloud
+   * @name tagCloud
+   * @description compute tags usage frequency of model instances
+   * @param {object} [filter] valid conditions to filter model instances with
+   * @param {object} [cloudOptns] tag cloud options
+   * @param {number} [cloudOptns.limit] maximum number of tags to return
+   * @param {number} [cloudOptns.minCount=1] minimum usage count of a tag
+   * @param {string | object} [cloudOptns.sort='-count tag'] how to sort tags
+   * @param {boolean} [cloudOptns.weight=false] whether to compute tag
+   * normalized weight in range of 0 to 1
+   * @returns {object} valid instance of mongoose aggregate
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @static
+   * @example
+   * User.tagCloud({ active: true }, { limit: 10 }).exec(done);
+   * //=> [ { tag: 'js', count: 8 }, { tag: 'nodejs', count: 5 }, ... ]
+   *
+   * User.tagCloud({}, { weight: true }).exec(done);
+   * //=> [ { tag: 'js', count: 8, weight: 1 }, ... ]
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.statics.tagCloud = function tagCloud(filter, cloudOptns) {
+    // ensure options
+    const {
+      limit,
+      minCount = 1,
+      sort = '-count tag',
+      weight = false,
+    } = _.merge({}, cloudOptns);
+    const conditions = this.where(_.merge({}, filter)).cast(this);
+
+    // count tags usage
+    const aggregate = this.aggregate()
+      .match(conditions)
+      .unwind(`$${path}`)
+      .group({ _id: `$${path}`, count: { $sum: 1 } })
+      .match({ count: { $gte: minCount } })
+      .project({ _id: 0, tag: '$_id', count: 1 })
+      .sort(sort);
+    if (limit) {
+      aggregate.limit(limit);
+    }
+
+    // compute tags weight relative to min and max usage count
+    if (weight) {
+      aggregate
+        .group({
+          _id: null,
+          rows: { $push: '$$ROOT' },
+          min: { $min: '$count' },
+          max: { $max: '$count' },
+        })
+        .unwind('$rows')
+        .project({
+          _id: 0,
+          tag: '$rows.tag',
+          count: '$rows.count',
+          weight: {
+            $cond: [
+              { $eq: ['$max', '$min'] },
+              1,
+              {
+                $divide: [
+                  { $subtract: ['$rows.count', '$min'] },
+                  { $subtract: ['$max', '$min'] },
+                ],
+              },
+            ],
+          },
+        });
+    }
+
+    // return tag cloud aggregate
+    return aggregate;
+  };
+
+  /**
+   * @function suggestTags
+   * @name suggestTags
+   * @description suggest existing tags which start with a given prefix ranked
+   * by their usage count
+   * @param {string} prefix valid tag prefix
+   * @param {object} [suggestOptns] suggestion options
+   * @param {number} [suggestOptns.limit=10] maximum number of tags to return
+   * @param {object} [suggestOptns.filter] valid conditions to filter model
+   * instances with
+   * @returns {object} valid instance of mongoose aggregate
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @static
+   * @example
+   * User.suggestTags('mon', { limit: 5 }).exec(done);
+   * //=> [ { tag: 'mongodb', count: 8 }, { tag: 'mongoose', count: 5 } ]
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.statics.suggestTags = function suggestTags(prefix, suggestOptns) {
+    // ensure options
+    const { limit = 10, filter } = _.merge({}, suggestOptns);
+    const conditions = this.where(_.merge({}, filter)).cast(this);
+
+    // build anchored prefix pattern from last word
+    const $prefix = _.last(normalizeTags(prefix, { segment })) || '';
+    const pattern = new RegExp(`^${_.escapeRegExp($prefix)}`);
+
+    // sum matched tags weights and usage
+    if (weights) {
+      return this.aggregate()
+        .match({ ...conditions, [path]: pattern })
+        .unwind(`$${weightedPath}`)
+        .match({ [`${weightedPath}.tag`]: pattern })
+        .group({
+          _id: `$${weightedPath}.tag`,
+          count: { $sum: 1 },
+          weight: { $sum: `$${weightedPath}.weight` },
+        })
+        .project({ _id: 0, tag: '$_id', count: 1, weight: 1 })
+        .sort('-weight -count tag')
+        .limit(limit);
+    }
+
+    // count matched tags usage
+    return this.aggregate()
+      .match({ ...conditions, [path]: pattern })
+      .unwind(`$${path}`)
+      .match({ [path]: pattern })
+      .group({ _id: `$${path}`, count: { $sum: 1 } })
+      .project({ _id: 0, tag: '$_id', count: 1 })
+      .sort('-count tag')
+      .limit(limit);
+  };
+
+  /**
+   * @function relatedTo
+   * @name relatedTo
+   * @description find model instances related to given tags ranked by their
+   * tags similarity
+   * @param {string | string[]} tags set of tags to find related instances for
+   * @param {object} [relatedOptns] related options
+   * @param {number} [relatedOptns.limit=10] maximum number of instances
+   * @param {number} [relatedOptns.minShared=1] minimum number of shared tags
+   * @param {string} [relatedOptns.score=shared] how to score similarity.
+   * Either `shared` tags count, `jaccard` index or summed `weight` of shared
+   * tags. Default to `weight` when weights are stored
+   * @param {object} [relatedOptns.filter] valid conditions to filter model
+   * instances with
+   * @returns {object} valid instance of mongoose aggregate
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.2.0
+   * @static
+   * @example
+   * User.relatedTo(['js', 'nodejs'], { score: 'jaccard' }).exec(done);
+   * //=> [ { ..., relevance: { shared: 2, score: 0.5 } }, ... ]
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.statics.relatedTo = function relatedTo(tags, relatedOptns) {
+    // ensure options
+    const {
+      limit = 10,
+      minShared = 1,
+      score = weights ? 'weight' : 'shared',
+      filter,
+    } = _.merge({}, relatedOptns);
+    const conditions = this.where(_.merge({}, filter)).cast(this);
+    const $tags = prepareTags(tags);
+
+    // compute shared tags and similarity score
+    const shared = { $size: { $setIntersection: [`$${path}`, $tags] } };
+    const jaccard = {
+      $divide: [
+        '$relevance.shared',
+        { $size: { $setUnion: [`$${path}`, $tags] } },
+      ],
+    };
+
+    const scores = {
+      shared: '$relevance.shared',
+      jaccard,
+      weight: '$relevance.weight',
+    };
+
+    // rank related instances
+    const aggregate = this.aggregate()
+      .match({ ...conditions, [path]: { $in: $tags } })
+      .addFields({ 'relevance.shared': shared })
+      .match({ 'relevance.shared': { $gte: minShared } });
+    if (score === 'weight') {
+      aggregate.addFields({ 'relevance.weight': matchedWeightOf($tags) });
+    }
+    return aggregate
+      .addFields({ 'relevance.score': _.get(scores, score, scores.shared) })
+      .sort({ 'relevance.score': -1, _id: 1 })
+      .limit(limit);
+  };
+
+  /**
+   * @function retag
+   * @name retag
+   * @description recompute and save tags of existing model instances in
+   * batches, writing only changed ones
+   * @param {object} [filter] valid conditions to filter model instances with
+   * @param {object} [retagOptns] retag options
+   * @param {number} [retagOptns.batchSize=100] number of instances per batch
+   * @param {boolean} [retagOptns.fresh=false] whether to drop existing
+   * derived and legacy tags and recompute them from taggable fields, keeping
+   * manual tags
+   * @param {boolean} [retagOptns.dryRun=false] whether to only compute
+   * changes without saving them
+   * @param {Function} [retagOptns.onProgress] function to invoke with counts
+   * after each batch
+   * @returns {Promise} promise which resolve counts of scanned, changed and
+   * unchanged instances
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @static
+   * @example
+   * User.retag({ active: true }, { batchSize: 500 }).then((counts) => { ... });
+   * //=> { scanned: 1000, changed: 10, unchanged: 990 }
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.statics.retag = function retag(filter, retagOptns) {
+    const $retagOptns = _.pick(
+      _.merge({}, retagOptns),
+      'batchSize',
+      'fresh',
+      'dryRun',
+      'onProgress'
+    );
+    return retagWhere(this, _.merge({}, filter), $retagOptns);
+  };
+
+  /**
+   * @function taggedBulkWrite
+   * @name taggedBulkWrite
+   * @description send multiple write operations same as `bulkWrite`, but
+   * recompute tags of instances touched by taggable updates, which
+   * `bulkWrite` does not hook. Inserted documents are tagged by validation,
+   * or before write when validation is skipped
+   * @param {object[]} ops valid bulk write operations
+   * @param {object} [bulkOptns] valid bulk write options
+   * @returns {Promise} promise which resolve bulk write result
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @static
+   * @example
+   * User.taggedBulkWrite([
+   *   { insertOne: { document: { name: 'John' } } },
+   *   { updateOne: { filter: { name: 'Jane' }, update: { name: 'Juma' } } },
+   * ]).then((result) => { ... });
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.statics.taggedBulkWrite = function taggedBulkWrite(ops, bulkOptns) {
+    // reference
+    const Model = this;
+    const $ops = _.compact([].concat(ops));
+    const session = _.get(bulkOptns, 'session');
+    const sessionOptns = session ? { session } : {};
+
+    // generate tags of inserted documents which skip tagging hook
+    const inserts = _.filter($ops, 'insertOne.document');
+    const isUntagged = ({ insertOne }) =>
+      hook !== 'validate' ||
+      _.get(bulkOptns, 'skipValidation') ||
+      insertOne.skipValidation;
+    const tagDocs = () =>
+      tagRawDocs(
+        Model,
+        _.map(_.filter(inserts, isUntagged), 'insertOne.document')
+      );
+
+    // find ids of instances to be updated by taggable updates
+    const updates = _.pickBy(
+      _.map($ops, (op) => {
+        const isMany = _.has(op, 'updateMany');
+        const update = _.get(op, isMany ? 'updateMany' : 'updateOne');
+        const isTaggable =
+          update && isTaggableUpdate(update.update, watchedPaths);
+        return isTaggable ? { ...update, isMany } : undefined;
+      })
+    );
+    const findIds = () => {
+      return Promise.all(
+        _.map(updates, ({ filter, isMany }) => {
+          const findOptns = isMany ? { lean: true } : { limit: 1, lean: true };
+          return Model.find(filter, '_id', {
+            ...findOptns,
+            ...sessionOptns,
+          }).exec();
+        })
+      ).then((found) => _.map(_.flatten(found), '_id'));
+    };
+
+    // write, then sync registry of inserted instances and recompute tags
+    // of updated and upserted instances
+    return Promise.all([tagDocs(), findIds()]).then(([, foundIds]) => {
+      return Model.bulkWrite($ops, bulkOptns).then((result) => {
+        const inserted = _.map(inserts, 'insertOne.document');
+        const upsertedIds = _.values(
+          _.pick(_.get(result, 'upsertedIds'), _.keys(updates))
+        );
+        const ids = _.uniqBy([...foundIds, ...upsertedIds], String);
+        const retagUpdated = _.isEmpty(ids)
+          ? Promise.resolve()
+          : retagByIds(Model, ids, sessionOptns);
+        const synced = syncRegistry(Model, inserted, sessionOptns);
+        return Promise.all([synced.catch(_.noop), retagUpdated]).then(
+          () => result
+        );
+      });
+    });
+  };
+
+  /**
+   * @function tagged
+   * @name tagged
+   * @description query helper to filter model instances by tags
+   * @param {string | string[]} tags set of tags to filter model instances with
+   * @param {object} [filterOptns] filter options
+   * @param {string} [filterOptns.match=any] how to match tags. Either `any`, `all`
+   * or `none`
+   * @returns {object} valid instance of mongoose query
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @instance
+   * @example
+   * User.find().tagged(['js', 'nodejs']).exec(done);
+   * //=> [ User { ... }, ... ]
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.query.tagged = function tagged(tags, filterOptns) {
+    const { match } = _.merge({}, filterOptns);
+    return this.where(conditionsOf(tags, match));
+  };
+
+  /**
+   * @function notTagged
+   * @name notTagged
+   * @description query helper to filter model instances without tags
+   * @param {string | string[]} tags set of tags to exclude model instances with
+   * @returns {object} valid instance of mongoose query
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @instance
+   * @example
+   * User.find().notTagged('angular').exec(done);
+   * //=> [ User { ... }, ... ]
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.query.notTagged = function notTagged(tags) {
+    return this.where(conditionsOf(tags, 'none'));
+  };
+
   /**
    * @function tag
    * @name tag
-   * @description add tags to a model instance
+   * @description add tags to a model instance. It apply cached rules from
+   * rules collection, and start reloading them in background once expired,
+   * so use `tagAsync` to apply current rules
    * @param {...string} [tags] set of tags to add to model instance
+   * @returns {string[]} set of model instance tags
    * @author lally elias <lallyelias87@mail.com>
    * @license MIT
    * @since 0.1.0
-   * @version 0.1.0
+   * @version 0.4.0
    * @instance
    * @example
    * const user = new User();
@@ -390,21 +2616,84 @@ function taggable(schema, optns) {
    */
   // eslint-disable-next-line no-param-reassign
   schema.methods.tag = function tag(...tags) {
+    // reload expired rules in background, ignoring failures
+    ensureRules(this.db).catch(_.noop);
+    // collect tags from taggable fields, ignoring async extractors
+    const fieldSources = _.mapValues(
+      tagFromFields(this, syncTaggables),
+      (fieldTags) => {
+        // ignore unexpected promises, including their failures
+        const [promises, $tags] = _.partition(fieldTags, isPromise);
+        _.forEach(promises, (promise) =>
+          Promise.resolve(promise).catch(_.noop)
+        );
+        return $tags;
+      }
+    );
+    // set and return tags
+    return applyTags(this, tags, fieldSources);
+  };
+
+  /**
+   * @function tagAsync
+   * @name tagAsync
+   * @description add tags to a model instance, awaiting async field
+   * extractors and resolving taggable refs
+   * @param {...string} [tags] set of tags to add to model instance
+   * @returns {Promise} promise which resolve model instance tags
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @instance
+   * @example
+   * const user = new User();
+   * user.tagAsync('js ninja', 'nodejs').then((tags) => { ... });
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.methods.tagAsync = async function tagAsync(...tags) {
     // reference
     const instance = this;
-    // obtain existing tags
-    const oldTags = this[path] ? [...this[path]] : [];
-    let $tags = fresh ? [] : oldTags;
-    // merge provided tags
-    $tags = [...$tags, ...tags];
-    // collect tags from taggable fields
-    $tags = [...$tags, ...tagFromFields(instance, taggables)];
-    // remove blacklist
-    $tags = removeBlacklist($tags, ...blacklist);
-    // remove stopwords
-    $tags = removeStopwords(...$tags);
-    // set and update tags
-    this[path] = $tags;
+    // collect tags from resolvable refs
+    const [refTags] = await tagFromRefs([instance], taggables, refs);
+    // ensure synonyms, vocabulary terms and rules
+    await loadSynonyms();
+    await loadVocabulary(instance.db);
+    await ensureRules(instance.db);
+    // collect tags from taggable fields, awaiting async extractors
+    return tagFromAllFields(instance, tags, refTags);
+  };
+
+  /**
+   * @function related
+   * @name related
+   * @description find other model instances related to a model instance
+   * ranked by their stored tags similarity, without modifying the instance
+   * @param {object} [relatedOptns] related options
+   * @param {number} [relatedOptns.limit=10] maximum number of instances
+   * @param {number} [relatedOptns.minShared=1] minimum number of shared tags
+   * @param {string} [relatedOptns.score=shared] how to score similarity.
+   * Either `shared` tags count or `jaccard` index
+   * @param {object} [relatedOptns.filter] valid conditions to filter model
+   * instances with
+   * @returns {object} valid instance of mongoose aggregate
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.2.0
+   * @instance
+   * @example
+   * user.related({ limit: 5 }).exec(done);
+   * //=> [ { ..., relevance: { shared: 2, score: 2 } }, ... ]
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.methods.related = function related(relatedOptns) {
+    // exclude self
+    const $optns = _.merge({}, relatedOptns);
+    // eslint-disable-next-line no-underscore-dangle
+    $optns.filter = { ...$optns.filter, _id: { $ne: this._id } };
+    // find related instances
+    return this.constructor.relatedTo([...(this[path] || [])], $optns);
   };
 
   /**
@@ -415,7 +2704,7 @@ function taggable(schema, optns) {
    * @author lally elias <lallyelias87@mail.com>
    * @license MIT
    * @since 0.1.0
-   * @version 0.1.0
+   * @version 0.2.0
    * @instance
    * @example
    * const user = new User();
@@ -424,26 +2713,291 @@ function taggable(schema, optns) {
   // eslint-disable-next-line no-param-reassign
   schema.methods.untag = function untag(...tags) {
     // normalize provided tags
-    let $tags = normalizeTags(...tags);
+    let $tags = prepareTags(tags, this);
+    // cascade to descendants
+    if (cascadeUntag) {
+      const candidates = _.union(
+        this[path],
+        this[manualPath],
+        this[derivedPath]
+      );
+      $tags = _.union($tags, descendantsOf($tags, candidates));
+    }
+    // remove from manual tags and suppress derived tags
+    this[manualPath] = _.difference(this[manualPath], $tags);
+    this[suppressedPath] = _.union(this[suppressedPath], $tags);
     // remove from tags
-    $tags = _.difference(this[path], $tags);
-    // set and update tags
-    this[path] = $tags;
+    this[path] = _.difference(this[path], $tags);
+    // remove tags sources
+    if (provenance) {
+      this[provenancePath] = _.omit(provenanceOf(this), $tags);
+    }
+    // remove tags weights
+    if (weights) {
+      this[weightedPath] = _.reject(this[weightedPath], ({ tag }) =>
+        _.includes($tags, tag)
+      );
+    }
   };
 
+  /**
+   * @function tagSources
+   * @name tagSources
+   * @description list sources of a model instance tag. Either `manual` or
+   * taggable schema path the tag was derived from. Require `provenance` option
+   * @param {string} tag valid model instance tag
+   * @returns {string[]} set of sources of a tag
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @instance
+   * @example
+   * const user = new User({ name: 'John' });
+   * user.tag('john');
+   * user.tagSources('john');
+   * //=> ['manual', 'name']
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.methods.tagSources = function tagSources(tag) {
+    const [$tag] = prepareTags(tag, this);
+    return _.get(provenanceOf(this), $tag, []);
+  };
+
+  // reject tags which are not in vocabulary
+  if (vocabulary && vocabularyPolicy === 'reject') {
+    const unknownOf = (tags) => {
+      return _.reject([].concat(tags), (tag) => terms.has(tag));
+    };
+    schema.path(path).validate({
+      validator: function validateVocabulary(tags) {
+        return loadVocabulary(this.db).then(() => _.isEmpty(unknownOf(tags)));
+      },
+      message: (props) => {
+        const unknown = _.join(unknownOf(props.value), ', ');
+        return `${props.path} has unknown tags: ${unknown}`;
+      },
+      type: 'vocabulary',
+    });
+  }
+
   /**
    * @function preValidate
    * @name preValidate
-   * @description generate tags from taggable paths and set into tags path
+   * @description generate tags from taggable paths, including resolvable
+   * refs and async extractors and set into tags path. Skipped when instance
+   * is not new and none of taggable paths, tags path or language path changed
+   * @returns {Promise} promise which resolve model instance tags
    * @author lally elias <lallyelias87@mail.com>
    * @license MIT
    * @since 0.1.0
-   * @version 0.1.0
+   * @version 0.4.0
    * @private
    */
   // eslint-disable-next-line no-param-reassign
   schema.pre(hook, function preValidate() {
-    this.tag();
+    if (!isTaggableModified(this)) {
+      return Promise.resolve(this[path]);
+    }
+    return this.tagAsync();
+  });
+
+  /**
+   * @function preInsertMany
+   * @name preInsertMany
+   * @description generate tags of raw documents on lean insert many, which
+   * bypass validation and hence tagging hook
+   * @param {Function} next callback to invoke on success or error
+   * @param {object[]} docs valid raw documents to insert
+   * @param {object} [insertOptns] valid insert many options
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @private
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.pre('insertMany', function preInsertMany(next, docs, insertOptns) {
+    // reference
+    const Model = this;
+    // ignore, tagging hook will run on validation
+    if (!_.get(insertOptns, 'lean')) {
+      return next();
+    }
+    // generate tags of each raw document
+    return tagRawDocs(Model, docs).then(() => next(), next);
+  });
+
+  // keep tag registry usage counts in sync
+  if (registry) {
+    /**
+     * @function afterInit
+     * @name afterInit
+     * @description track loaded tags of instance to diff on changes
+     * @author lally elias <lallyelias87@mail.com>
+     * @license MIT
+     * @since 0.6.0
+     * @version 0.1.0
+     * @private
+     */
+    // eslint-disable-next-line no-param-reassign
+    schema.post('init', function afterInit() {
+      registeredTags.set(this, [...(this[path] || [])]);
+    });
+
+    /**
+     * @function afterSave
+     * @name afterSave
+     * @description update tag registry usage counts of saved instance.
+     * Failures are ignored, so they do not fail the save, and retried on
+     * next save
+     * @returns {Promise} promise which resolve on success
+     * @author lally elias <lallyelias87@mail.com>
+     * @license MIT
+     * @since 0.6.0
+     * @version 0.2.0
+     * @private
+     */
+    // eslint-disable-next-line no-param-reassign
+    schema.post('save', function afterSave() {
+      return syncRegistry(this.constructor, [this]).catch(_.noop);
+    });
+
+    /**
+     * @function afterInsertMany
+     * @name afterInsertMany
+     * @description update tag registry usage counts of inserted instances,
+     * ignoring failures. Inserts using `rawResult` are not tracked, since
+     * inserted instances are not available
+     * @param {object[]} docs inserted instances or raw documents
+     * @returns {Promise} promise which resolve on success
+     * @author lally elias <lallyelias87@mail.com>
+     * @license MIT
+     * @since 0.6.0
+     * @version 0.2.0
+     * @private
+     */
+    // eslint-disable-next-line no-param-reassign
+    schema.post('insertMany', function afterInsertMany(docs) {
+      const inserted = _.isArray(docs) ? docs : [];
+      return syncRegistry(this, inserted).catch(_.noop);
+    });
+
+    /**
+     * @function afterRemove
+     * @name afterRemove
+     * @description update tag registry usage counts of removed instance,
+     * ignoring failures
+     * @returns {Promise} promise which resolve on success
+     * @author lally elias <lallyelias87@mail.com>
+     * @license MIT
+     * @since 0.6.0
+     * @version 0.2.0
+     * @private
+     */
+    const afterRemove = function afterRemove() {
+      const removed = syncRegistry(this.constructor, [this], { removed: true });
+      return removed.catch(_.noop);
+    };
+    // eslint-disable-next-line no-param-reassign
+    schema.post('remove', afterRemove);
+    // eslint-disable-next-line no-param-reassign
+    schema.post('deleteOne', { document: true, query: false }, afterRemove);
+  }
+
+  // skip update hooks
+  if (!options.updates) {
+    return;
+  }
+
+  const pendingRetags = new WeakMap();
+
+  /**
+   * @function preUpdate
+   * @name preUpdate
+   * @description collect ids of instances whose tags should be recomputed
+   * when update query touches taggable paths
+   * @returns {Promise} promise which resolve on success
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.2.0
+   * @private
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.pre(UPDATE_OPERATIONS, function preUpdate() {
+    // reference
+    const query = this;
+    // ignore non taggable updates
+    if (!isTaggableUpdate(query.getUpdate(), watchedPaths)) {
+      return Promise.resolve();
+    }
+    // find ids of instances to be updated
+    const { sort, multi, session } = query.getOptions();
+    const isMany =
+      query.op === 'updateMany' || (query.op === 'update' && multi);
+    const findOptns = isMany ? { lean: true } : { sort, limit: 1, lean: true };
+    const sessionOptns = session ? { session } : {};
+    return query.model
+      .find(query.getFilter(), '_id', { ...findOptns, ...sessionOptns })
+      .exec()
+      .then(function afterFind(found) {
+        pendingRetags.set(query, _.map(found, '_id'));
+      });
+  });
+
+  /**
+   * @function postUpdate
+   * @name postUpdate
+   * @description recompute tags of instances touched by update query
+   * @param {object} result valid update query result
+   * @param {Function} next callback to invoke on success or error
+   * @author lally elias <lallyelias87@mail.com>
+   * @license MIT
+   * @since 0.6.0
+   * @version 0.1.0
+   * @private
+   */
+  // eslint-disable-next-line no-param-reassign
+  schema.post(UPDATE_OPERATIONS, function postUpdate(result, next) {
+    // reference
+    const query = this;
+    // ignore non taggable updates
+    if (!pendingRetags.has(query)) {
+      return next();
+    }
+    // collect updated and upserted ids
+    const upsertedIds = _.compact([
+      _.get(result, 'upsertedId'),
+      _.get(result, 'lastErrorObject.upserted'),
+      // eslint-disable-next-line no-underscore-dangle
+      isInstance(result) ? result._id : undefined,
+    ]);
+    const ids = _.uniqBy([...pendingRetags.get(query), ...upsertedIds], String);
+    pendingRetags.delete(query);
+    if (_.isEmpty(ids)) {
+      return next();
+    }
+    // recompute tags, and sync tags of returned instance when it is the
+    // updated one
+    const { session, returnDocument, returnOriginal } = query.getOptions();
+    const isUpdatedResult =
+      isInstance(result) &&
+      (query.getOptions().new === true ||
+        returnDocument === 'after' ||
+        returnOriginal === false);
+    const onRetag = (results) => {
+      _.forEach(results, ({ instance }) => {
+        if (isUpdatedResult && areSameInstance(result, instance)) {
+          _.forEach(storedTagsOf(instance), (tags, tagPath) => {
+            // eslint-disable-next-line no-param-reassign
+            result[tagPath] = tags;
+          });
+        }
+      });
+    };
+    const retagOptns = session ? { onRetag, session } : { onRetag };
+    return retagByIds(query.model, ids, retagOptns).then(() => next(), next);
   });
 }
 
@@ -1,5 +1,10 @@
 import { Schema, SchemaTypes } from '@lykmapipo/mongoose-common';
-import { model, expect } from '@lykmapipo/mongoose-test-helpers';
+import {
+  model,
+  mockModel,
+  stub,
+  expect,
+} from '@lykmapipo/mongoose-test-helpers';
 import mongooseHidden from 'mongoose-hidden';
 import taggable from '../src';
 
@@ -269,6 +274,7 @@ describe('taggable', () => {
     const schema = new Schema({ name: String });
     schema.plugin(taggable);
     const User = model(schema);
+    delete process.env.TAGGABLE_BLACKLIST;
 
     const user = new User();
     user.tag('JS', 'NODEJS');
@@ -304,4 +310,2031 @@ describe('taggable', () => {
     expect(user.tags).to.include('january');
     expect(user.tags).to.include('saturday');
   });
+
+  it('should remove stopwords of all languages by default', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User();
+    user.tag('die', 'son', 'nodejs');
+    expect(user.tags).to.not.include('die');
+    expect(user.tags).to.not.include('son');
+    expect(user.tags).to.include('nodejs');
+  });
+
+  it('should remove stopwords of given languages only', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable, { languages: ['en'] });
+    const User = model(schema);
+
+    const user = new User();
+    user.tag('die', 'son', 'the', 'nodejs');
+    expect(user.tags).to.include('die');
+    expect(user.tags).to.include('son');
+    expect(user.tags).to.not.include('the');
+    expect(user.tags).to.include('nodejs');
+  });
+
+  it('should remove stopwords of languages from env', () => {
+    process.env.TAGGABLE_LANGUAGES = 'en';
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable);
+    const User = model(schema);
+    delete process.env.TAGGABLE_LANGUAGES;
+
+    const user = new User();
+    user.tag('die', 'the', 'nodejs');
+    expect(user.tags).to.include('die');
+    expect(user.tags).to.not.include('the');
+    expect(user.tags).to.include('nodejs');
+  });
+
+  it('should remove stopwords of document languages', () => {
+    const schema = new Schema({ name: String, language: String });
+    schema.plugin(taggable, { languages: ['en'], languagePath: 'language' });
+    const User = model(schema);
+
+    const user = new User({ language: 'de' });
+    user.tag('die', 'the', 'nodejs');
+    expect(user.tags).to.not.include('die');
+    expect(user.tags).to.include('the');
+    expect(user.tags).to.include('nodejs');
+  });
+
+  it('should remove custom stopwords', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable, { languages: ['en'], stopwords: ['ninja'] });
+    const User = model(schema);
+
+    const user = new User();
+    user.tag('js ninja', 'the', 'nodejs');
+    expect(user.tags).to.not.include('ninja');
+    expect(user.tags).to.not.include('the');
+    expect(user.tags).to.include('nodejs');
+  });
+
+  it('should remove custom stopwords of given languages', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable, {
+      languages: ['en'],
+      stopwords: { en: ['ninja'], sw: ['nodejs'] },
+    });
+    const User = model(schema);
+
+    const user = new User();
+    user.tag('ninja', 'nodejs');
+    expect(user.tags).to.not.include('ninja');
+    expect(user.tags).to.include('nodejs');
+  });
+
+  it('should collect tags from accented words', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User({ name: 'Café Zürich' });
+    user.tag();
+    expect(user.tags).to.include('café');
+    expect(user.tags).to.include('zürich');
+    expect(user.tags).to.not.include('caf');
+    expect(user.tags).to.not.include('rich');
+  });
+
+  it('should collect tags from non latin words', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User({ name: 'Привет Байкал مرحبا' });
+    user.tag();
+    expect(user.tags).to.include('привет');
+    expect(user.tags).to.include('байкал');
+    expect(user.tags).to.include('مرحبا');
+  });
+
+  it('should collect tags from unspaced words with segment', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { segment: 'ja' });
+    const User = model(schema);
+
+    const user = new User({ name: '東京タワーに行きました' });
+    user.tag();
+    expect(user.tags).to.include('東京タワー');
+    expect(user.tags).to.include('行き');
+    expect(user.tags).to.not.include('東京タワーに行きました');
+  });
+
+  it('should collect tags from unspaced words without segment', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User({ name: '東京タワー' });
+    user.tag();
+    expect(user.tags).to.include('東京タワー');
+  });
+
+  it('should not normalize tags by default', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User();
+    user.tag('repos', 'repo');
+    expect(user.tags).to.include('repos');
+    expect(user.tags).to.include('repo');
+  });
+
+  it('should normalize tags to singular', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { normalize: 'singular' });
+    const User = model(schema);
+
+    const user = new User({ name: 'frameworks' });
+    user.tag('repos', 'repo', 'framework', 'has');
+    expect(user.tags).to.have.length(2);
+    expect(user.tags).to.include('repo');
+    expect(user.tags).to.include('framework');
+
+    user.untag('repos');
+    expect(user.tags).to.not.include('repo');
+    expect(user.tags).to.include('framework');
+  });
+
+  it('should normalize tags using light stemmer', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { normalize: 'stem', languages: ['fr'] });
+    const User = model(schema);
+
+    const user = new User({ name: 'journaux' });
+    user.tag('journal', 'livres', 'livre');
+    expect(user.tags).to.have.length(2);
+    expect(user.tags).to.include('journal');
+    expect(user.tags).to.include('livre');
+  });
+
+  it('should stem english sibilant plurals', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable, { normalize: 'stem', languages: ['en'] });
+    const User = model(schema);
+
+    const user = new User();
+    user.tag('classes', 'class', 'boxes', 'box', 'matches', 'match');
+    user.tag('wishes', 'wish', 'buzzes', 'buzz', 'stories', 'stores');
+    expect([...user.tags]).to.be.eql([
+      'class',
+      'box',
+      'match',
+      'wish',
+      'buzz',
+      'story',
+      'store',
+    ]);
+  });
+
+  it('should stem english -ie nouns plurals', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable, { normalize: 'stem', languages: ['en'] });
+    const User = model(schema);
+
+    const user = new User();
+    user.tag('movies', 'movie', 'cookies', 'cookie', 'pies', 'pie');
+    user.tag('parties', 'party', 'neckties', 'necktie');
+    expect([...user.tags]).to.be.eql([
+      'movie',
+      'cookie',
+      'pie',
+      'party',
+      'necktie',
+    ]);
+  });
+
+  it('should normalize tags using custom normalizer', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable, { normalize: (tag) => tag.replace(/js$/, '') });
+    const User = model(schema);
+
+    const user = new User();
+    user.tag('nodejs', 'node');
+    expect(user.tags).to.have.length(1);
+    expect(user.tags).to.include('node');
+  });
+
+  it('should rewrite aliases to canonical tags', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, {
+      synonyms: { javascript: ['JS', 'ecmascript'] },
+    });
+    const User = model(schema);
+
+    const user = new User({ name: 'ECMAScript' });
+    user.tag('js', 'javascript', 'nodejs');
+    expect(user.tags).to.have.length(2);
+    expect(user.tags).to.include('javascript');
+    expect(user.tags).to.include('nodejs');
+    expect(user.tags).to.not.include('js');
+    expect(user.tags).to.not.include('ecmascript');
+
+    user.untag('ecmascript');
+    expect(user.tags).to.not.include('javascript');
+    expect(user.tags).to.include('nodejs');
+  });
+
+  it('should load synonyms using loader', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable, {
+      synonyms: () => ({ javascript: 'ecmascript' }),
+    });
+    const User = model(schema);
+
+    const user = new User();
+    user.tag('ecmascript');
+    expect(user.tags).to.be.eql(['javascript']);
+  });
+
+  it('should reject async synonyms loader', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable, {
+      synonyms: () => Promise.resolve({ javascript: ['js'] }),
+    });
+    const User = model(schema);
+
+    const user = new User();
+    expect(() => user.tag('js')).to.throw(TypeError, /synchronous loader/);
+  });
+
+  it('should load async synonyms loader on tag async', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, {
+      synonyms: () => Promise.resolve({ javascript: ['js'] }),
+    });
+    const User = model(schema);
+
+    const user = new User({ name: 'JS' });
+    return user.tagAsync('ecmascript', 'js').then((tags) => {
+      expect(tags).to.be.eql(['ecmascript', 'javascript']);
+      expect(user.tag('js')).to.be.eql(['ecmascript', 'javascript']);
+    });
+  });
+
+  it('should list aliases of canonical tag', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable, {
+      synonyms: { javascript: ['js', 'ecmascript'] },
+    });
+    const User = model(schema);
+
+    expect(User.tagAliases('javascript')).to.be.eql(['js', 'ecmascript']);
+    expect(User.tagAliases('JS')).to.be.eql(['js', 'ecmascript']);
+    expect(User.tagAliases('nodejs')).to.be.empty;
+  });
+
+  it('should find by tags', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable, { synonyms: { javascript: ['js'] } });
+    const User = model(schema);
+
+    const query = User.findByTags(['JS', 'NodeJS and Express']);
+    expect(query.getFilter()).to.be.eql({
+      tags: { $in: ['javascript', 'nodejs', 'express'] },
+    });
+  });
+
+  it('should find by tags with match option', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable, { path: 'keywords', blacklist: ['java'] });
+    const User = model(schema);
+
+    let query = User.findByTags('js java', { match: 'all' });
+    expect(query.getFilter()).to.be.eql({ keywords: { $all: ['js'] } });
+
+    query = User.findByTags('js java', { match: 'none' });
+    expect(query.getFilter()).to.be.eql({ keywords: { $nin: ['js'] } });
+  });
+
+  it('should filter by tags using query helpers', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    let query = User.find({ name: 'John' }).tagged('js');
+    expect(query.getFilter()).to.be.eql({
+      name: 'John',
+      tags: { $in: ['js'] },
+    });
+
+    query = User.find().notTagged(['Angular']);
+    expect(query.getFilter()).to.be.eql({ tags: { $nin: ['angular'] } });
+  });
+
+  it('should compute tag cloud', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const aggregate = User.tagCloud();
+    expect(aggregate.pipeline()).to.be.eql([
+      { $match: {} },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $match: { count: { $gte: 1 } } },
+      { $project: { _id: 0, tag: '$_id', count: 1 } },
+      { $sort: { count: -1, tag: 1 } },
+    ]);
+  });
+
+  it('should compute tag cloud with options', () => {
+    const schema = new Schema({ name: String, age: Number });
+    schema.plugin(taggable, { path: 'keywords' });
+    const User = model(schema);
+
+    const aggregate = User.tagCloud(
+      { age: '20' },
+      { limit: 10, minCount: 2, sort: 'tag', weight: true }
+    );
+    const pipeline = aggregate.pipeline();
+    expect(pipeline[0]).to.be.eql({ $match: { age: 20 } });
+    expect(pipeline[1]).to.be.eql({ $unwind: '$keywords' });
+    expect(pipeline[3]).to.be.eql({ $match: { count: { $gte: 2 } } });
+    expect(pipeline[5]).to.be.eql({ $sort: { tag: 1 } });
+    expect(pipeline[6]).to.be.eql({ $limit: 10 });
+    expect(pipeline[7].$group).to.exist;
+    expect(pipeline[8]).to.be.eql({ $unwind: '$rows' });
+    expect(pipeline[9].$project.weight).to.exist;
+  });
+
+  it('should suggest tags', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const aggregate = User.suggestTags('Mon');
+    expect(aggregate.pipeline()).to.be.eql([
+      { $match: { tags: /^mon/ } },
+      { $unwind: '$tags' },
+      { $match: { tags: /^mon/ } },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $project: { _id: 0, tag: '$_id', count: 1 } },
+      { $sort: { count: -1, tag: 1 } },
+      { $limit: 10 },
+    ]);
+  });
+
+  it('should suggest tags with options', () => {
+    const schema = new Schema({ name: String, age: Number });
+    schema.plugin(taggable, { path: 'keywords' });
+    const User = model(schema);
+
+    const aggregate = User.suggestTags('node c++', {
+      limit: 5,
+      filter: { age: '20' },
+    });
+    const pipeline = aggregate.pipeline();
+    expect(pipeline[0]).to.be.eql({ $match: { age: 20, keywords: /^c/ } });
+    expect(pipeline[1]).to.be.eql({ $unwind: '$keywords' });
+    expect(pipeline[6]).to.be.eql({ $limit: 5 });
+  });
+
+  it('should find related to tags', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const aggregate = User.relatedTo(['NodeJS', 'Express']);
+    expect(aggregate.pipeline()).to.be.eql([
+      { $match: { tags: { $in: ['nodejs', 'express'] } } },
+      {
+        $addFields: {
+          'relevance.shared': {
+            $size: { $setIntersection: ['$tags', ['nodejs', 'express']] },
+          },
+        },
+      },
+      { $match: { 'relevance.shared': { $gte: 1 } } },
+      { $addFields: { 'relevance.score': '$relevance.shared' } },
+      { $sort: { 'relevance.score': -1, _id: 1 } },
+      { $limit: 10 },
+    ]);
+  });
+
+  it('should find related to tags using jaccard score', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable, { path: 'keywords' });
+    const User = model(schema);
+
+    const aggregate = User.relatedTo('nodejs', {
+      score: 'jaccard',
+      minShared: 2,
+      limit: 5,
+    });
+    const pipeline = aggregate.pipeline();
+    expect(pipeline[2]).to.be.eql({
+      $match: { 'relevance.shared': { $gte: 2 } },
+    });
+    expect(pipeline[3]).to.be.eql({
+      $addFields: {
+        'relevance.score': {
+          $divide: [
+            '$relevance.shared',
+            { $size: { $setUnion: ['$keywords', ['nodejs']] } },
+          ],
+        },
+      },
+    });
+    expect(pipeline[5]).to.be.eql({ $limit: 5 });
+  });
+
+  it('should find related instances', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User({ name: 'John' });
+    user.tag('nodejs');
+    const aggregate = user.related({ filter: { name: 'Jane' } });
+    const [{ $match: match }] = aggregate.pipeline();
+    expect(match.name).to.be.equal('Jane');
+    expect(match._id.$ne).to.be.eql(user._id);
+    expect(match.tags.$in).to.include('nodejs');
+    expect(match.tags.$in).to.include('john');
+  });
+
+  it('should find related instances without modifying instance', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const { _id } = new User();
+    const user = User.hydrate({ _id, name: 'John', tags: ['john', 'js'] });
+    const tag = stub(user, 'tag');
+    const aggregate = user.related();
+    tag.restore();
+
+    const [{ $match: match }] = aggregate.pipeline();
+    expect(tag).to.not.have.been.called;
+    expect(match.tags.$in).to.be.eql(['john', 'js']);
+    expect(user.modifiedPaths()).to.be.empty;
+  });
+
+  it('should collect tags from taggable subdoc array paths', () => {
+    const schema = new Schema({
+      contributors: [{ name: { type: String, taggable: true } }],
+    });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    expect(User.TAGGABLE_FIELDS['contributors.name']).to.exist;
+
+    const user = new User({
+      contributors: [{ name: 'John Boe' }, { name: 'Jane Kaleb' }],
+    });
+    user.tag();
+    expect(user.tags).to.include('john');
+    expect(user.tags).to.include('boe');
+    expect(user.tags).to.include('jane');
+    expect(user.tags).to.include('kaleb');
+  });
+
+  it('should collect tags from taggable nested subdoc array paths', () => {
+    const schema = new Schema({
+      teams: [
+        {
+          title: { type: String, taggable: true },
+          members: [{ name: { type: String, taggable: true } }],
+        },
+      ],
+    });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    expect(User.TAGGABLE_FIELDS['teams.members.name']).to.exist;
+
+    const user = new User({
+      teams: [
+        { title: 'Backend', members: [{ name: 'John' }, { name: 'Jane' }] },
+        { title: 'Frontend', members: [{ name: 'Juma' }] },
+      ],
+    });
+    user.tag();
+    expect(user.tags).to.include('backend');
+    expect(user.tags).to.include('frontend');
+    expect(user.tags).to.include('john');
+    expect(user.tags).to.include('jane');
+    expect(user.tags).to.include('juma');
+  });
+
+  it('should collect tags from taggable array of refs', () => {
+    const LabelSchema = new Schema({ name: { type: String, taggable: true } });
+    LabelSchema.plugin(taggable, { path: 'keywords' });
+    const Label = model(LabelSchema);
+
+    const PostSchema = new Schema({
+      title: { type: String, taggable: true },
+      labels: [
+        { type: SchemaTypes.ObjectId, ref: Label.modelName, taggable: true },
+      ],
+    });
+    PostSchema.plugin(taggable);
+    const Post = model(PostSchema);
+
+    expect(Post.TAGGABLE_FIELDS.labels).to.exist;
+
+    const labels = [
+      new Label({ name: 'Red Apple' }),
+      new Label({ name: 'Green Mango' }),
+    ];
+    const post = new Post({ title: 'Fruits', labels });
+    post.labels.push(new Label()._id);
+    post.tag();
+    expect(post.tags).to.have.length(5);
+    expect(post.tags).to.include('fruits');
+    expect(post.tags).to.include('red');
+    expect(post.tags).to.include('apple');
+    expect(post.tags).to.include('green');
+    expect(post.tags).to.include('mango');
+  });
+
+  it('should not collect tags from taggable array of unpopulated refs', () => {
+    const LabelSchema = new Schema({ name: { type: String, taggable: true } });
+    LabelSchema.plugin(taggable);
+    const Label = model(LabelSchema);
+
+    const PostSchema = new Schema({
+      title: { type: String, taggable: true },
+      labels: [
+        { type: SchemaTypes.ObjectId, ref: Label.modelName, taggable: true },
+      ],
+    });
+    PostSchema.plugin(taggable);
+    const Post = model(PostSchema);
+
+    const label = new Label({ name: 'Red Apple' });
+    const post = new Post({ title: 'Fruits', labels: [label._id] });
+    post.tag();
+    expect(post.tags).to.be.eql(['fruits']);
+  });
+
+  it('should resolve taggable refs on hook', (done) => {
+    const UserSchema = new Schema({ name: { type: String, taggable: true } });
+    UserSchema.plugin(taggable);
+    const User = model(UserSchema);
+
+    const LabelSchema = new Schema({ name: { type: String, taggable: true } });
+    LabelSchema.plugin(taggable);
+    const Label = model(LabelSchema);
+
+    const PostSchema = new Schema({
+      title: { type: String, taggable: true },
+      author: {
+        type: SchemaTypes.ObjectId,
+        ref: User.modelName,
+        taggable: { populate: true },
+      },
+      labels: [
+        { type: SchemaTypes.ObjectId, ref: Label.modelName, taggable: true },
+      ],
+    });
+    PostSchema.plugin(taggable);
+    const Post = model(PostSchema);
+
+    const author = new User({ name: 'John Boe' });
+    const label = new Label({ name: 'Red Apple' });
+    const post = new Post({
+      title: 'Fruits',
+      author: author._id,
+      labels: [label._id],
+    });
+
+    const Mock = mockModel(User);
+    const find = Mock.expects('find').returns({
+      exec: () => Promise.resolve([author]),
+    });
+
+    post.validate((error) => {
+      Mock.verify();
+      Mock.restore();
+      expect(find).to.have.been.calledOnce;
+      expect(error).to.not.exist;
+      expect(post.tags).to.include('fruits');
+      expect(post.tags).to.include('john');
+      expect(post.tags).to.include('boe');
+      expect(post.tags).to.not.include('red');
+      done(error);
+    });
+  });
+
+  it('should resolve all taggable refs on hook with option', (done) => {
+    const LabelSchema = new Schema({ name: { type: String, taggable: true } });
+    LabelSchema.plugin(taggable);
+    const Label = model(LabelSchema);
+
+    const PostSchema = new Schema({
+      title: { type: String, taggable: true },
+      labels: [
+        { type: SchemaTypes.ObjectId, ref: Label.modelName, taggable: true },
+      ],
+      category: { type: SchemaTypes.ObjectId, ref: Label, taggable: true },
+    });
+    PostSchema.plugin(taggable, { resolveRefs: true });
+    const Post = model(PostSchema);
+
+    const labels = [
+      new Label({ name: 'Red Apple' }),
+      new Label({ name: 'Green Mango' }),
+    ];
+    const category = new Label({ name: 'Fruits' });
+    const post = new Post({
+      title: 'Market',
+      labels: [labels[0]._id, labels[1]._id],
+      category: category._id,
+    });
+
+    const Mock = mockModel(Label);
+    const find = Mock.expects('find').returns({
+      exec: () => Promise.resolve([...labels, category]),
+    });
+
+    post.validate((error) => {
+      Mock.verify();
+      Mock.restore();
+      expect(find).to.have.been.calledOnce;
+      expect(find.firstCall.args[0]._id.$in).to.have.length(3);
+      expect(error).to.not.exist;
+      expect(post.tags).to.include('market');
+      expect(post.tags).to.include('red');
+      expect(post.tags).to.include('mango');
+      expect(post.tags).to.include('fruits');
+      done(error);
+    });
+  });
+
+  it('should fail to resolve taggable refs on hook with error', (done) => {
+    const UserSchema = new Schema({ name: { type: String, taggable: true } });
+    UserSchema.plugin(taggable);
+    const User = model(UserSchema);
+
+    const PostSchema = new Schema({
+      author: {
+        type: SchemaTypes.ObjectId,
+        ref: User.modelName,
+        taggable: true,
+      },
+    });
+    PostSchema.plugin(taggable, { resolveRefs: true });
+    const Post = model(PostSchema);
+
+    const post = new Post({ author: new User()._id });
+
+    const Mock = mockModel(User);
+    const find = Mock.expects('find').returns({
+      exec: () => Promise.reject(new Error('Failed')),
+    });
+
+    post.validate((error) => {
+      Mock.verify();
+      Mock.restore();
+      expect(find).to.have.been.calledOnce;
+      expect(error).to.exist;
+      expect(error.message).to.be.equal('Failed');
+      done();
+    });
+  });
+
+  it('should be able to tag async', () => {
+    const schema = new Schema({
+      name: { type: String, taggable: true },
+      title: {
+        type: String,
+        taggable: (value) => Promise.resolve([`${value}js`]),
+      },
+    });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User({ name: 'John', title: 'Node' });
+    return user.tagAsync('express').then((tags) => {
+      expect(tags).to.be.eql(user.tags);
+      expect(user.tags).to.include('express');
+      expect(user.tags).to.include('john');
+      expect(user.tags).to.include('nodejs');
+    });
+  });
+
+  it('should ignore async extractors on sync tag', () => {
+    const schema = new Schema({
+      name: { type: String, taggable: true },
+      title: { type: String, taggable: () => Promise.resolve(['nodejs']) },
+    });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User({ name: 'John', title: 'Node' });
+    const tags = user.tag();
+    expect(tags).to.be.eql(['john']);
+  });
+
+  it('should await async extractors on hook', (done) => {
+    const schema = new Schema({
+      title: { type: String, taggable: () => Promise.resolve(['nodejs']) },
+    });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User({ title: 'Node' });
+    user.validate((error) => {
+      expect(error).to.not.exist;
+      expect(user.tags).to.be.eql(['nodejs']);
+      done(error);
+    });
+  });
+
+  it('should fail on hook if async extractor fail', (done) => {
+    const schema = new Schema({
+      title: {
+        type: String,
+        taggable: () => Promise.reject(new Error('Failed')),
+      },
+    });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User({ title: 'Node' });
+    user.validate((error) => {
+      expect(error).to.exist;
+      expect(error.message).to.be.equal('Failed');
+      done();
+    });
+  });
+
+  it('should recompute tags on taggable update', (done) => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { fresh: true });
+    const User = model(schema);
+
+    const user = new User({ name: 'John', tags: ['john'] });
+
+    const updateOne = stub(User.collection, 'updateOne').yields(null, {
+      acknowledged: true,
+      modifiedCount: 1,
+    });
+    const Mock = mockModel(User);
+    const find = Mock.expects('find').twice();
+    find
+      .onFirstCall()
+      .returns({ exec: () => Promise.resolve([{ _id: user._id }]) });
+    find.onSecondCall().callsFake(() => {
+      user.name = 'Jane';
+      return { cursor: () => ({ eachAsync: (fn) => fn([user]) }) };
+    });
+    const bulkWrite = Mock.expects('bulkWrite').resolves({});
+
+    User.updateOne({ _id: user._id }, { $set: { name: 'Jane' } }, (error) => {
+      updateOne.restore();
+      Mock.verify();
+      Mock.restore();
+      expect(error).to.not.exist;
+      expect(find.firstCall.args[2].limit).to.be.equal(1);
+      expect(find.secondCall.args[0]._id.$in).to.be.eql([user._id]);
+      expect(bulkWrite).to.have.been.calledOnce;
+      expect(bulkWrite.firstCall.args[0]).to.be.eql([
+        {
+          updateOne: {
+            filter: { _id: user._id },
+            update: {
+              $set: {
+                tags: ['jane'],
+                manualTags: [],
+                derivedTags: ['jane'],
+                suppressedTags: [],
+              },
+            },
+          },
+        },
+      ]);
+      done(error);
+    });
+  });
+
+  it('should recompute tags on taggable update within session', (done) => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { fresh: true });
+    const User = model(schema);
+
+    const user = new User({ name: 'John', tags: ['john'] });
+    const session = { id: 'transaction' };
+
+    const updateOne = stub(User.collection, 'updateOne').yields(null, {
+      acknowledged: true,
+      modifiedCount: 1,
+    });
+    const Mock = mockModel(User);
+    const find = Mock.expects('find').twice();
+    find
+      .onFirstCall()
+      .returns({ exec: () => Promise.resolve([{ _id: user._id }]) });
+    find.onSecondCall().callsFake(() => {
+      user.name = 'Jane';
+      return { cursor: () => ({ eachAsync: (fn) => fn([user]) }) };
+    });
+    const bulkWrite = Mock.expects('bulkWrite').resolves({});
+
+    const update = { $set: { name: 'Jane' } };
+    User.updateOne({ _id: user._id }, update, { session }, (error) => {
+      updateOne.restore();
+      Mock.verify();
+      Mock.restore();
+      expect(error).to.not.exist;
+      expect(find.firstCall.args[2].session).to.be.eql(session);
+      expect(find.secondCall.args[2].session).to.be.eql(session);
+      expect(bulkWrite.firstCall.args[1].session).to.be.eql(session);
+      done(error);
+    });
+  });
+
+  it('should recompute tags on taggable subdoc array update', (done) => {
+    const schema = new Schema({
+      contributors: [{ name: { type: String, taggable: true } }],
+    });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User({ contributors: [{ name: 'John' }] });
+
+    const updateMany = stub(User.collection, 'updateMany').yields(null, {
+      acknowledged: true,
+      modifiedCount: 1,
+    });
+    const Mock = mockModel(User);
+    const find = Mock.expects('find').twice();
+    find
+      .onFirstCall()
+      .returns({ exec: () => Promise.resolve([{ _id: user._id }]) });
+    find.onSecondCall().callsFake(() => {
+      user.contributors.push({ name: 'Jane' });
+      return { cursor: () => ({ eachAsync: (fn) => fn([user]) }) };
+    });
+    const bulkWrite = Mock.expects('bulkWrite').resolves({});
+
+    const update = { $push: { contributors: { name: 'Jane' } } };
+    User.updateMany({}, update, (error) => {
+      updateMany.restore();
+      Mock.verify();
+      Mock.restore();
+      expect(error).to.not.exist;
+      expect(find.firstCall.args[2].limit).to.not.exist;
+      const [[op]] = bulkWrite.firstCall.args;
+      expect(op.updateOne.update.$set.tags).to.include('john');
+      expect(op.updateOne.update.$set.tags).to.include('jane');
+      done(error);
+    });
+  });
+
+  it('should not save unchanged tags on taggable update', (done) => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User({ name: 'John' });
+    user.tag();
+
+    const updateOne = stub(User.collection, 'updateOne').yields(null, {
+      acknowledged: true,
+      modifiedCount: 1,
+    });
+    const Mock = mockModel(User);
+    const find = Mock.expects('find').twice();
+    find
+      .onFirstCall()
+      .returns({ exec: () => Promise.resolve([{ _id: user._id }]) });
+    find
+      .onSecondCall()
+      .returns({ cursor: () => ({ eachAsync: (fn) => fn([user]) }) });
+    const bulkWrite = Mock.expects('bulkWrite').never();
+
+    User.updateOne({ _id: user._id }, { $set: { name: 'John' } }, (error) => {
+      updateOne.restore();
+      Mock.verify();
+      Mock.restore();
+      expect(error).to.not.exist;
+      expect(bulkWrite).to.not.have.been.called;
+      done(error);
+    });
+  });
+
+  it('should recompute derived tags on taggable unset', (done) => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User({ name: 'John' });
+    user.tag('js');
+
+    const updateOne = stub(User.collection, 'updateOne').yields(null, {
+      acknowledged: true,
+      modifiedCount: 1,
+    });
+    const Mock = mockModel(User);
+    const find = Mock.expects('find').twice();
+    find
+      .onFirstCall()
+      .returns({ exec: () => Promise.resolve([{ _id: user._id }]) });
+    find.onSecondCall().callsFake(() => {
+      user.name = undefined;
+      return { cursor: () => ({ eachAsync: (fn) => fn([user]) }) };
+    });
+    const bulkWrite = Mock.expects('bulkWrite').resolves({});
+
+    User.updateOne({ _id: user._id }, { $unset: { name: 1 } }, (error) => {
+      updateOne.restore();
+      Mock.verify();
+      Mock.restore();
+      expect(error).to.not.exist;
+      const [[op]] = bulkWrite.firstCall.args;
+      expect(op.updateOne.update.$set.tags).to.be.eql(['js']);
+      expect(op.updateOne.update.$set.derivedTags).to.be.eql([]);
+      done(error);
+    });
+  });
+
+  it('should not recompute tags on non taggable update', (done) => {
+    const schema = new Schema({
+      name: { type: String, taggable: true },
+      age: Number,
+    });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const updateOne = stub(User.collection, 'updateOne').yields(null, {
+      acknowledged: true,
+      modifiedCount: 1,
+    });
+    const Mock = mockModel(User);
+    const find = Mock.expects('find').never();
+
+    User.updateOne({}, { $set: { age: 20 } }, (error) => {
+      updateOne.restore();
+      Mock.verify();
+      Mock.restore();
+      expect(error).to.not.exist;
+      expect(find).to.not.have.been.called;
+      done(error);
+    });
+  });
+
+  it('should recompute tags of returned instance on taggable update', (done) => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { fresh: true });
+    const User = model(schema);
+
+    const user = new User({ name: 'Jane', tags: ['john'] });
+
+    const findOneAndUpdate = stub(User.collection, 'findOneAndUpdate').yields(
+      null,
+      { ok: 1, value: { _id: user._id, name: 'Jane', tags: ['john'] } }
+    );
+    const Mock = mockModel(User);
+    const find = Mock.expects('find').twice();
+    find
+      .onFirstCall()
+      .returns({ exec: () => Promise.resolve([{ _id: user._id }]) });
+    find
+      .onSecondCall()
+      .returns({ cursor: () => ({ eachAsync: (fn) => fn([user]) }) });
+    Mock.expects('bulkWrite').resolves({});
+
+    const update = { name: 'Jane' };
+    User.findOneAndUpdate({}, update, { new: true }, (error, found) => {
+      findOneAndUpdate.restore();
+      Mock.verify();
+      Mock.restore();
+      expect(error).to.not.exist;
+      expect(found.tags).to.be.eql(['jane']);
+      done(error);
+    });
+  });
+
+  it('should not sync tags of original returned instance on taggable update', (done) => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { fresh: true });
+    const User = model(schema);
+
+    const user = new User({ name: 'Jane', tags: ['john'] });
+
+    const findOneAndUpdate = stub(User.collection, 'findOneAndUpdate').yields(
+      null,
+      { ok: 1, value: { _id: user._id, name: 'John', tags: ['john'] } }
+    );
+    const Mock = mockModel(User);
+    const find = Mock.expects('find').twice();
+    find
+      .onFirstCall()
+      .returns({ exec: () => Promise.resolve([{ _id: user._id }]) });
+    find
+      .onSecondCall()
+      .returns({ cursor: () => ({ eachAsync: (fn) => fn([user]) }) });
+    Mock.expects('bulkWrite').resolves({});
+
+    const update = { name: 'Jane' };
+    User.findOneAndUpdate({}, update, (error, found) => {
+      findOneAndUpdate.restore();
+      Mock.verify();
+      Mock.restore();
+      expect(error).to.not.exist;
+      expect(found.name).to.be.equal('John');
+      expect(found.tags).to.be.eql(['john']);
+      done(error);
+    });
+  });
+
+  it('should generate tags on lean insert many', (done) => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const insertMany = stub(User.collection, 'insertMany').yields(null, {
+      acknowledged: true,
+      insertedCount: 2,
+    });
+
+    const docs = [{ name: 'John Boe' }, { name: 'Jane Kaleb' }];
+    User.insertMany(docs, { lean: true }, (error) => {
+      insertMany.restore();
+      expect(error).to.not.exist;
+      const [inserted] = insertMany.firstCall.args;
+      expect(inserted[0].tags).to.be.eql(['john', 'boe']);
+      expect(inserted[1].tags).to.be.eql(['jane', 'kaleb']);
+      done(error);
+    });
+  });
+
+  it('should resolve refs in batch on lean insert many', (done) => {
+    const UserSchema = new Schema({ name: { type: String, taggable: true } });
+    UserSchema.plugin(taggable);
+    const User = model(UserSchema);
+
+    const PostSchema = new Schema({
+      title: { type: String, taggable: true },
+      author: { type: SchemaTypes.ObjectId, ref: User, taggable: true },
+    });
+    PostSchema.plugin(taggable, { resolveRefs: true });
+    const Post = model(PostSchema);
+
+    const authors = [new User({ name: 'John' }), new User({ name: 'Jane' })];
+
+    const insertMany = stub(Post.collection, 'insertMany').yields(null, {
+      acknowledged: true,
+      insertedCount: 2,
+    });
+    const Mock = mockModel(User);
+    const find = Mock.expects('find')
+      .once()
+      .returns({ exec: () => Promise.resolve(authors) });
+
+    const docs = [
+      { title: 'Fruits', author: authors[0]._id },
+      { title: 'Market', author: authors[1]._id },
+    ];
+    Post.insertMany(docs, { lean: true }, (error) => {
+      insertMany.restore();
+      Mock.verify();
+      Mock.restore();
+      expect(error).to.not.exist;
+      expect(find.firstCall.args[0]._id.$in).to.have.length(2);
+      const [inserted] = insertMany.firstCall.args;
+      expect(inserted[0].tags).to.be.eql(['john', 'fruits']);
+      expect(inserted[1].tags).to.be.eql(['jane', 'market']);
+      done(error);
+    });
+  });
+
+  it('should generate tags on insert many', (done) => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const insertMany = stub(User.collection, 'insertMany').yields(null, {
+      acknowledged: true,
+      insertedCount: 1,
+    });
+
+    const docs = [{ name: 'John Boe' }];
+    User.insertMany(docs, { rawResult: true }, (error) => {
+      insertMany.restore();
+      expect(error).to.not.exist;
+      const [inserted] = insertMany.firstCall.args;
+      expect(inserted[0].tags).to.be.eql(['john', 'boe']);
+      done(error);
+    });
+  });
+
+  it('should retag instances in batches', () => {
+    const schema = new Schema({
+      name: { type: String, taggable: true },
+      age: Number,
+    });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const john = new User({ name: 'John', tags: ['john'] });
+    const jane = new User({ name: 'Jane' });
+    const juma = new User({ name: 'Juma' });
+    const cursor = {
+      eachAsync: (fn, { batchSize }) => {
+        expect(batchSize).to.be.equal(2);
+        return fn([john, jane]).then(() => fn([juma]));
+      },
+    };
+
+    const Mock = mockModel(User);
+    const find = Mock.expects('find').returns({ cursor: () => cursor });
+    const bulkWrite = Mock.expects('bulkWrite').twice().resolves({});
+    const onProgress = [];
+
+    return User.retag(
+      { age: 20 },
+      { batchSize: 2, onProgress: (counts) => onProgress.push(counts) }
+    ).then((counts) => {
+      Mock.verify();
+      Mock.restore();
+      expect(find).to.have.been.calledWith({ age: 20 });
+      expect(counts).to.be.eql({ scanned: 3, changed: 2, unchanged: 1 });
+      expect(onProgress).to.be.eql([
+        { scanned: 2, changed: 1, unchanged: 1 },
+        { scanned: 3, changed: 2, unchanged: 1 },
+      ]);
+      const [[op]] = bulkWrite.firstCall.args;
+      expect(op.updateOne.filter._id).to.be.eql(jane._id);
+      expect(op.updateOne.update.$set.tags).to.be.eql(['jane']);
+    });
+  });
+
+  it('should retag fresh instances on dry run', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const john = new User({ name: 'John', tags: ['john', 'js'] });
+    const cursor = { eachAsync: (fn) => fn([john]) };
+
+    const Mock = mockModel(User);
+    Mock.expects('find').returns({ cursor: () => cursor });
+    const bulkWrite = Mock.expects('bulkWrite').never();
+
+    return User.retag({}, { fresh: true, dryRun: true }).then((counts) => {
+      Mock.verify();
+      Mock.restore();
+      expect(bulkWrite).to.not.have.been.called;
+      expect(counts).to.be.eql({ scanned: 1, changed: 1, unchanged: 0 });
+      expect(john.tags).to.be.eql(['john']);
+    });
+  });
+
+  it('should skip tagging when no taggable path changed', (done) => {
+    const schema = new Schema({
+      name: { type: String, taggable: true },
+      age: Number,
+    });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = User.hydrate({ _id: new User()._id, name: 'John', tags: [] });
+    const tagAsync = stub(user, 'tagAsync').resolves([]);
+    user.age = 20;
+
+    user.validate((error) => {
+      tagAsync.restore();
+      expect(error).to.not.exist;
+      expect(tagAsync).to.not.have.been.called;
+      expect([...user.tags]).to.be.eql([]);
+      done(error);
+    });
+  });
+
+  it('should tag when a taggable path changed', (done) => {
+    const schema = new Schema({
+      name: { type: String, taggable: true },
+      age: Number,
+    });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = User.hydrate({ _id: new User()._id, name: 'John', tags: [] });
+    user.name = 'Jane';
+
+    user.validate((error) => {
+      expect(error).to.not.exist;
+      expect([...user.tags]).to.be.eql(['jane']);
+      done(error);
+    });
+  });
+
+  it('should keep manual tags on fresh recompute', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { fresh: true });
+    const User = model(schema);
+
+    const user = new User({ name: 'John' });
+    user.tag('js');
+    expect([...user.tags]).to.be.eql(['js', 'john']);
+    expect([...user.manualTags]).to.be.eql(['js']);
+    expect([...user.derivedTags]).to.be.eql(['john']);
+
+    user.name = 'Jane';
+    user.tag();
+    expect([...user.tags]).to.be.eql(['js', 'jane']);
+  });
+
+  it('should keep untagged derived tags removed', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User({ name: 'John Smith' });
+    user.tag();
+    user.untag('smith');
+    expect([...user.tags]).to.not.include('smith');
+    expect([...user.suppressedTags]).to.be.eql(['smith']);
+
+    user.tag();
+    expect([...user.tags]).to.not.include('smith');
+
+    user.tag('smith');
+    expect([...user.tags]).to.include('smith');
+    expect([...user.suppressedTags]).to.be.eql([]);
+  });
+
+  it('should record tags provenance', () => {
+    const schema = new Schema({
+      name: { type: String, taggable: true },
+      author: { name: { type: String, taggable: true } },
+    });
+    schema.plugin(taggable, { provenance: true });
+    const User = model(schema);
+
+    const user = new User({ name: 'John', author: { name: 'John Smith' } });
+    user.tag('js', 'John');
+
+    expect(user.tagSources('js')).to.be.eql(['manual']);
+    expect(user.tagSources('John')).to.be.eql([
+      'manual',
+      'name',
+      'author.name',
+    ]);
+    expect(user.tagSources('smith')).to.be.eql(['author.name']);
+    expect(user.tagSources('angular')).to.be.eql([]);
+
+    user.untag('smith');
+    expect(user.tagSources('smith')).to.be.eql([]);
+  });
+
+  it('should not record tags provenance by default', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User({ name: 'John' });
+    user.tag();
+
+    expect(user.tagsProvenance).to.not.exist;
+    expect(user.tagSources('john')).to.be.eql([]);
+  });
+
+  it('should store tags weights', () => {
+    const schema = new Schema({
+      title: { type: String, taggable: { weight: 3 } },
+      description: { type: String, taggable: true },
+    });
+    schema.plugin(taggable, { weights: true });
+    const User = model(schema);
+
+    const user = new User({
+      title: 'Node',
+      description: 'Mongoose with Node and Express',
+    });
+    user.tag('mongoose');
+
+    expect(user.tags).to.have.members(['node', 'mongoose', 'express']);
+    expect(user.toObject().weightedTags).to.have.deep.members([
+      { tag: 'node', weight: 4 },
+      { tag: 'mongoose', weight: 2 },
+      { tag: 'express', weight: 1 },
+    ]);
+
+    user.untag('express');
+    expect(user.toObject().weightedTags).to.have.deep.members([
+      { tag: 'node', weight: 4 },
+      { tag: 'mongoose', weight: 2 },
+    ]);
+  });
+
+  it('should store weights of object prototype named tags', () => {
+    const schema = new Schema({
+      title: { type: String, taggable: { weight: 3 } },
+    });
+    schema.plugin(taggable, { weights: true });
+    const User = model(schema);
+
+    const user = new User({ title: 'JavaScript constructor' });
+    user.tag('valueOf');
+
+    expect(user.toObject().weightedTags).to.have.deep.members([
+      { tag: 'javascript', weight: 3 },
+      { tag: 'constructor', weight: 3 },
+      { tag: 'valueof', weight: 1 },
+    ]);
+
+    user.tag();
+    expect(user.toObject().weightedTags).to.have.deep.members([
+      { tag: 'javascript', weight: 3 },
+      { tag: 'constructor', weight: 3 },
+      { tag: 'valueof', weight: 1 },
+    ]);
+  });
+
+  it('should rank by tags weights', () => {
+    const schema = new Schema({ name: String });
+    schema.plugin(taggable, { weights: true });
+    const User = model(schema);
+
+    const aggregate = User.rankByTags(['NodeJS', 'Express'], { limit: 5 });
+    const weight = {
+      $sum: {
+        $map: {
+          input: {
+            $filter: {
+              input: { $ifNull: ['$weightedTags', []] },
+              as: 'weighted',
+              cond: { $in: ['$$weighted.tag', ['nodejs', 'express']] },
+            },
+          },
+          as: 'weighted',
+          in: '$$weighted.weight',
+        },
+      },
+    };
+    expect(aggregate.pipeline()).to.be.eql([
+      { $match: { tags: { $in: ['nodejs', 'express'] } } },
+      { $addFields: { 'relevance.weight': weight } },
+      { $sort: { 'relevance.weight': -1, _id: 1 } },
+      { $limit: 5 },
+    ]);
+
+    const pipeline = User.relatedTo(['NodeJS', 'Express']).pipeline();
+    expect(pipeline[3]).to.be.eql({
+      $addFields: { 'relevance.weight': weight },
+    });
+    expect(pipeline[4]).to.be.eql({
+      $addFields: { 'relevance.score': '$relevance.weight' },
+    });
+  });
+
+  it('should tag using taggable options object', () => {
+    const schema = new Schema({
+      code: { type: String, taggable: { stopwords: false } },
+      status: { type: String, taggable: { prefix: 'status:' } },
+      title: {
+        type: String,
+        taggable: { blacklist: ['draft'], minLength: 3, maxTags: 2 },
+      },
+      author: {
+        type: String,
+        taggable: {
+          extract: (author) => author.split(','),
+          transform: (tag) => `@${tag}`,
+        },
+      },
+    });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User({
+      code: 'The',
+      status: 'Active',
+      title: 'JS draft on Node and Mongo',
+      author: 'john,jane',
+    });
+    user.tag();
+
+    expect([...user.tags]).to.be.eql([
+      'the',
+      'status:active',
+      'node',
+      'mongo',
+      '@john',
+      '@jane',
+    ]);
+  });
+
+  it('should tag using taggable options object with stopwords', () => {
+    const schema = new Schema({
+      title: { type: String, taggable: { stopwords: true } },
+      summary: { type: String, taggable: { stopwords: ['ninja'] } },
+    });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User({ title: 'True Guitar', summary: 'Ninja Piano' });
+    user.tag();
+
+    expect([...user.tags]).to.be.eql(['true', 'guitar', 'piano']);
+    expect([...user.derivedTags]).to.be.eql(['true', 'guitar', 'piano']);
+  });
+
+  it('should find by prefixed tags', () => {
+    const schema = new Schema({
+      status: { type: String, taggable: { prefix: 'status:' } },
+    });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const query = User.findByTags(['Status:Active', 'js']);
+    expect(query.getFilter()).to.be.eql({
+      tags: { $in: ['js', 'status:active'] },
+    });
+  });
+
+  it('should drop tags not in vocabulary', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { vocabulary: new Set(['JS', 'Node']) });
+    const User = model(schema);
+
+    const user = new User({ name: 'Node' });
+    user.tag('js', 'angular');
+
+    expect([...user.tags]).to.be.eql(['js', 'node']);
+  });
+
+  it('should suggest tags not in vocabulary', (done) => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, {
+      vocabulary: () => Promise.resolve(['js', 'node']),
+      vocabularyPolicy: 'suggest',
+    });
+    const User = model(schema);
+
+    const user = new User({ name: 'Node' });
+    user.tagAsync('js', 'angular').then((tags) => {
+      expect(tags).to.be.eql(['js', 'node']);
+      expect([...user.suggestedTags]).to.be.eql(['angular']);
+      done();
+    }, done);
+  });
+
+  it('should load vocabulary once on concurrent tagging', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { vocabulary: 'taxonomies' });
+    const User = model(schema);
+
+    const john = new User({ name: 'Node' });
+    const jane = new User({ name: 'Angular' });
+    const distinct = stub().resolves(['js', 'node']);
+    const collection = stub(john.db, 'collection').returns({ distinct });
+
+    return Promise.all([john.tagAsync('js'), jane.tagAsync('js')]).then(
+      ([johnTags, janeTags]) => {
+        collection.restore();
+        expect(distinct).to.have.been.calledOnce;
+        expect(johnTags).to.be.eql(['js', 'node']);
+        expect(janeTags).to.be.eql(['js']);
+      }
+    );
+  });
+
+  it('should reject tags not in vocabulary', (done) => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, {
+      vocabulary: 'taxonomies',
+      vocabularyPolicy: 'reject',
+    });
+    const User = model(schema);
+
+    const user = new User({ name: 'Node Angular' });
+    const distinct = stub().resolves(['js', 'node']);
+    const collection = stub(user.db, 'collection').returns({ distinct });
+
+    user.validate((error) => {
+      collection.restore();
+      expect(collection).to.have.been.calledWith('taxonomies');
+      expect(distinct).to.have.been.calledWith('name');
+      expect(error).to.exist;
+      expect(error.name).to.be.equal('ValidationError');
+      expect(error.errors.tags.kind).to.be.equal('vocabulary');
+      expect(error.errors.tags.message).to.be.equal(
+        'tags has unknown tags: angular'
+      );
+      done();
+    });
+  });
+
+  it('should remove pattern and predicate blacklist', () => {
+    const schema = new Schema({
+      name: { type: String, taggable: { blacklist: [/^draft/] } },
+    });
+    schema.plugin(taggable, {
+      blacklist: ['angular', /^tmp_/g, (tag) => tag === 'darn'],
+    });
+    const User = model(schema);
+
+    const user = new User({ name: 'Node drafts tmp_file darn Angular Mongo' });
+    user.tag();
+    user.tag();
+
+    expect([...user.tags]).to.be.eql(['node', 'mongo']);
+  });
+
+  it('should remove blacklist presets', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, {
+      blacklistPresets: ['numbers', 'short', 'hex', 'urls'],
+    });
+    const User = model(schema);
+
+    const user = new User({
+      name: 'Node 2024 js 5f2b7c9a1e https://mongodb.com/docs www.example.com',
+    });
+    user.tag();
+
+    expect([...user.tags]).to.be.eql(['node']);
+  });
+
+  it('should apply rules from rules collection', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, {
+      rulesCollection: 'tagrules',
+      blacklistPresets: ['short'],
+    });
+    const User = model(schema);
+    const TagRule = User.tagRules();
+
+    const Mock = mockModel(TagRule);
+    const find = Mock.expects('find').returns({
+      exec: () =>
+        Promise.resolve([
+          { name: 'spam', type: 'blacklist' },
+          { name: 'js' },
+          { name: 'JS', type: 'whitelist' },
+        ]),
+    });
+
+    return User.refreshTagRules().then((rules) => {
+      Mock.verify();
+      Mock.restore();
+      expect(find).to.have.been.calledWith({}, 'name type', { lean: true });
+      expect(rules).to.be.eql({ blacklist: ['spam', 'js'], whitelist: ['JS'] });
+
+      const user = new User({ name: 'Spam JS go Node' });
+      user.tag();
+      expect([...user.tags]).to.be.eql(['js', 'node']);
+    });
+  });
+
+  it('should refresh rules on rules collection writes', (done) => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { rulesCollection: 'moderations' });
+    const User = model(schema);
+    const TagRule = User.tagRules();
+
+    const insertOne = stub(TagRule.collection, 'insertOne').yields(null, {
+      acknowledged: true,
+    });
+    const Mock = mockModel(TagRule);
+    Mock.expects('find').returns({
+      exec: () => Promise.resolve([{ name: 'spam' }]),
+    });
+
+    TagRule.create({ name: 'spam' }, (error) => {
+      insertOne.restore();
+      Mock.verify();
+      Mock.restore();
+      expect(error).to.not.exist;
+
+      const user = new User({ name: 'Spam Node' });
+      user.tag();
+      expect([...user.tags]).to.be.eql(['node']);
+      done(error);
+    });
+  });
+
+  it('should refresh rules on writes of same connection only', (done) => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { rulesCollection: 'curations' });
+    const User = model(schema);
+    const TagRule = User.tagRules();
+
+    const otherSchema = new Schema({ name: { type: String, taggable: true } });
+    otherSchema.plugin(taggable, { rulesCollection: 'curations' });
+    const Other = User.db.useDb('archive').model('Other', otherSchema);
+    const OtherRule = Other.tagRules();
+
+    const insertOne = stub(OtherRule.collection, 'insertOne').yields(null, {
+      acknowledged: true,
+    });
+    const Mock = mockModel(TagRule);
+    const find = Mock.expects('find').never();
+    const OtherMock = mockModel(OtherRule);
+    const otherFind = OtherMock.expects('find').returns({
+      exec: () => Promise.resolve([{ name: 'spam' }]),
+    });
+
+    OtherRule.create({ name: 'spam' }, (error) => {
+      insertOne.restore();
+      Mock.verify();
+      Mock.restore();
+      OtherMock.verify();
+      OtherMock.restore();
+      expect(error).to.not.exist;
+      expect(find).to.not.have.been.called;
+      expect(otherFind).to.have.been.calledOnce;
+      done(error);
+    });
+  });
+
+  it('should not fail rules collection writes on refresh error', (done) => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { rulesCollection: 'reviews' });
+    const User = model(schema);
+    const TagRule = User.tagRules();
+
+    const insertOne = stub(TagRule.collection, 'insertOne').yields(null, {
+      acknowledged: true,
+    });
+    const Mock = mockModel(TagRule);
+    Mock.expects('find').returns({
+      exec: () => Promise.reject(new Error('Failed')),
+    });
+
+    TagRule.create({ name: 'spam' }, (error) => {
+      insertOne.restore();
+      Mock.verify();
+      Mock.restore();
+      expect(error).to.not.exist;
+      done(error);
+    });
+  });
+
+  it('should reload expired rules in background on tag', (done) => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { rulesCollection: 'filters' });
+    const User = model(schema);
+    const TagRule = User.tagRules();
+
+    const Mock = mockModel(TagRule);
+    const find = Mock.expects('find')
+      .once()
+      .returns({ exec: () => Promise.resolve([{ name: 'spam' }]) });
+
+    const user = new User({ name: 'Spam Node' });
+    expect(user.tag()).to.be.eql(['spam', 'node']);
+
+    setImmediate(() => {
+      Mock.verify();
+      Mock.restore();
+      expect(find).to.have.been.calledOnce;
+      expect(new User({ name: 'Spam Node' }).tag()).to.be.eql(['node']);
+      done();
+    });
+  });
+
+  it('should load rules once on concurrent tagging', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { rulesCollection: 'approvals' });
+    const User = model(schema);
+    const TagRule = User.tagRules();
+
+    const Mock = mockModel(TagRule);
+    const find = Mock.expects('find')
+      .once()
+      .returns({ exec: () => Promise.resolve([{ name: 'spam' }]) });
+
+    const john = new User({ name: 'Spam Node' });
+    const jane = new User({ name: 'Spam Mongo' });
+    return Promise.all([john.tagAsync(), jane.tagAsync()]).then(
+      ([johnTags, janeTags]) => {
+        Mock.verify();
+        Mock.restore();
+        expect(find).to.have.been.calledOnce;
+        expect(johnTags).to.be.eql(['node']);
+        expect(janeTags).to.be.eql(['mongo']);
+      }
+    );
+  });
+
+  it('should sync tag registry usage counts on save', (done) => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { registry: 'tags', fresh: true });
+    const User = model(schema);
+    const Tag = User.tagRegistry();
+    const counter = `counts.${User.modelName}`;
+
+    const { _id } = new User();
+    const user = User.hydrate({ _id, name: 'John', tags: ['john', 'js'] });
+    user.name = 'Jane';
+
+    const updateOne = stub(User.collection, 'updateOne').yields(null, {
+      acknowledged: true,
+      modifiedCount: 1,
+    });
+    const Mock = mockModel(Tag);
+    const bulkWrite = Mock.expects('bulkWrite').resolves({});
+
+    user.save((error) => {
+      updateOne.restore();
+      Mock.verify();
+      Mock.restore();
+      expect(error).to.not.exist;
+      const opOf = (name, delta) => {
+        return {
+          updateOne: {
+            filter: { name },
+            update: {
+              $inc: { [counter]: delta },
+              $setOnInsert: { slug: name },
+            },
+            upsert: true,
+          },
+        };
+      };
+      expect(bulkWrite.firstCall.args[0]).to.be.eql([
+        opOf('jane', 1),
+        opOf('john', -1),
+        opOf('js', -1),
+      ]);
+      done(error);
+    });
+  });
+
+  it('should sync tag registry usage counts of object prototype named tags', (done) => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { registry: 'labels' });
+    const User = model(schema);
+    const Tag = User.tagRegistry();
+    const counter = `counts.${User.modelName}`;
+
+    const user = new User({ name: 'Constructor' });
+
+    const insertOne = stub(User.collection, 'insertOne').yields(null, {
+      acknowledged: true,
+    });
+    const Mock = mockModel(Tag);
+    const bulkWrite = Mock.expects('bulkWrite').resolves({});
+
+    user.save((error) => {
+      insertOne.restore();
+      Mock.verify();
+      Mock.restore();
+      expect(error).to.not.exist;
+      expect(Tag.schema.path('name').options.unique).to.be.true;
+      expect(bulkWrite.firstCall.args[0]).to.be.eql([
+        {
+          updateOne: {
+            filter: { name: 'constructor' },
+            update: {
+              $inc: { [counter]: 1 },
+              $setOnInsert: { slug: 'constructor' },
+            },
+            upsert: true,
+          },
+        },
+      ]);
+      done(error);
+    });
+  });
+
+  it('should not fail save on tag registry error', (done) => {
+    const schema = new Schema({
+      name: { type: String, taggable: true },
+      age: { type: Number },
+    });
+    schema.plugin(taggable, { registry: 'topics' });
+    const User = model(schema);
+    const Tag = User.tagRegistry();
+
+    const user = new User({ name: 'John', age: 30 });
+
+    const insertOne = stub(User.collection, 'insertOne').yields(null, {
+      acknowledged: true,
+    });
+    const updateOne = stub(User.collection, 'updateOne').yields(null, {
+      acknowledged: true,
+      modifiedCount: 0,
+    });
+    const Mock = mockModel(Tag);
+    const bulkWrite = Mock.expects('bulkWrite').twice();
+    bulkWrite.onFirstCall().rejects(new Error('registry down'));
+    bulkWrite.onSecondCall().resolves({});
+
+    user.save((error) => {
+      expect(error).to.not.exist;
+      expect(user.isNew).to.be.false;
+      user.age = 31;
+      user.save(($error) => {
+        insertOne.restore();
+        updateOne.restore();
+        Mock.verify();
+        Mock.restore();
+        expect(bulkWrite.secondCall.args[0]).to.be.eql(
+          bulkWrite.firstCall.args[0]
+        );
+        done($error);
+      });
+    });
+  });
+
+  it('should rebuild tag registry usage counts', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, { registry: 'tags' });
+    const User = model(schema);
+    const Tag = User.tagRegistry();
+    const counter = `counts.${User.modelName}`;
+
+    const counts = [{ tag: 'node.js', count: 2 }];
+    const UserMock = mockModel(User);
+    UserMock.expects('tagCloud').returns({
+      exec: () => Promise.resolve(counts),
+    });
+    const TagMock = mockModel(Tag);
+    const bulkWrite = TagMock.expects('bulkWrite').resolves({});
+
+    return User.rebuildTagCounts().then((rebuilt) => {
+      UserMock.verify();
+      UserMock.restore();
+      TagMock.verify();
+      TagMock.restore();
+      expect(rebuilt).to.be.eql(counts);
+      expect(bulkWrite.firstCall.args[0]).to.be.eql([
+        { updateMany: { filter: {}, update: { $unset: { [counter]: '' } } } },
+        {
+          updateOne: {
+            filter: { name: 'node.js' },
+            update: {
+              $set: { [counter]: 2 },
+              $setOnInsert: { slug: 'node-js' },
+            },
+            upsert: true,
+          },
+        },
+      ]);
+    });
+  });
+
+  it('should expand ancestors of path style tags', () => {
+    const schema = new Schema({
+      category: { type: String, taggable: (category) => [category] },
+    });
+    schema.plugin(taggable, { hierarchy: 'path', cascadeUntag: true });
+    const User = model(schema);
+
+    const user = new User({ category: 'Electronics/Phones/Android' });
+    user.tag('Electronics/Smart TV');
+
+    expect([...user.tags]).to.be.eql([
+      'electronics',
+      'electronics/smart-tv',
+      'electronics/phones',
+      'electronics/phones/android',
+    ]);
+
+    user.untag('electronics/phones');
+    expect([...user.tags]).to.be.eql(['electronics', 'electronics/smart-tv']);
+
+    user.tag();
+    expect([...user.tags]).to.be.eql(['electronics', 'electronics/smart-tv']);
+
+    const query = User.findByTags('Electronics/Phones');
+    expect(query.getFilter()).to.be.eql({
+      tags: { $in: ['electronics/phones'] },
+    });
+  });
+
+  it('should canonicalize parts of path style tags', () => {
+    const schema = new Schema({
+      category: { type: String, taggable: (category) => [category] },
+    });
+    schema.plugin(taggable, {
+      hierarchy: 'path',
+      normalize: 'singular',
+      synonyms: { mobile: ['cellphones'] },
+    });
+    const User = model(schema);
+
+    const user = new User({ category: 'Electronics/Cellphones/Androids' });
+    user.tag();
+
+    expect([...user.tags]).to.be.eql([
+      'electronic',
+      'electronic/mobile',
+      'electronic/mobile/android',
+    ]);
+
+    const query = User.findByTags('electronics');
+    expect(query.getFilter()).to.be.eql({
+      tags: { $in: ['electronic'] },
+    });
+  });
+
+  it('should remove blacklisted parts of path style tags', () => {
+    const schema = new Schema({
+      category: { type: String, taggable: (category) => [category] },
+    });
+    schema.plugin(taggable, {
+      hierarchy: 'path',
+      blacklist: ['spam', /^draft/],
+      blacklistPresets: ['numbers'],
+    });
+    const User = model(schema);
+
+    const user = new User({ category: 'Electronics/Spam/Phones' });
+    user.tag('Spam/Phones', 'Electronics/Drafts', 'Electronics/2024/TV');
+    user.tag('Electronics/The/Radio');
+
+    expect([...user.tags]).to.be.eql(['electronics']);
+  });
+
+  it('should expand ancestors of tags using parent map', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable, {
+      hierarchy: { Android: 'Phones', phones: 'electronics' },
+    });
+    const User = model(schema);
+
+    const user = new User({ name: 'Android' });
+    user.tag();
+    expect([...user.tags]).to.be.eql(['electronics', 'phones', 'android']);
+
+    user.untag('phones');
+    expect([...user.tags]).to.be.eql(['electronics', 'android']);
+  });
+
+  it('should not call async extractors on sync tag', (done) => {
+    let calls = 0;
+    const schema = new Schema({
+      title: {
+        type: String,
+        taggable: async () => {
+          calls += 1;
+          throw new Error('nlp down');
+        },
+      },
+      summary: {
+        type: String,
+        taggable: { extract: () => Promise.resolve(['node']), async: true },
+      },
+      body: {
+        type: String,
+        taggable: () => Promise.reject(new Error('nlp down')),
+      },
+    });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+
+    const user = new User({ title: 'Node', summary: 'Node', body: 'Node' });
+    expect(user.tag('js')).to.be.eql(['js']);
+
+    setTimeout(() => {
+      process.removeListener('unhandledRejection', onUnhandled);
+      expect(calls).to.be.equal(0);
+      expect(unhandled).to.be.empty;
+      done();
+    }, 10);
+  });
+
+  it('should tag documents on tagged bulk write', () => {
+    const schema = new Schema({ name: { type: String, taggable: true } });
+    schema.plugin(taggable);
+    const User = model(schema);
+
+    const user = new User({ name: 'John' });
+    user.tag();
+
+    const Mock = mockModel(User);
+    const find = Mock.expects('find').twice();
+    find.onFirstCall().returns({ exec: () => Promise.resolve([user]) });
+    find.onSecondCall().callsFake(() => {
+      user.name = 'Jane';
+      return { cursor: () => ({ eachAsync: (fn) => fn([user]) }) };
+    });
+    const bulkWrite = Mock.expects('bulkWrite').twice().resolves({});
+
+    const ops = [
+      { insertOne: { document: { name: 'Juma' }, skipValidation: true } },
+      { insertOne: { document: { name: 'Jamila' } } },
+      { updateOne: { filter: { _id: user._id }, update: { name: 'Jane' } } },
+    ];
+    return User.taggedBulkWrite(ops).then(() => {
+      Mock.verify();
+      Mock.restore();
+      expect(find.firstCall.args[2].limit).to.be.equal(1);
+      expect(find.secondCall.args[0]._id.$in).to.be.eql([user._id]);
+      const [[skipped, validated]] = bulkWrite.firstCall.args;
+      expect(skipped.insertOne.document.tags).to.be.eql(['juma']);
+      expect(validated.insertOne.document.tags).to.not.exist;
+      const [[op]] = bulkWrite.secondCall.args;
+      expect(op.updateOne.update.$set.tags).to.be.eql(['jane']);
+    });
+  });
 });